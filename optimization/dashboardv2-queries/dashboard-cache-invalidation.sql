@@ -0,0 +1,540 @@
+-- Dashboard Cache Invalidation
+-- Row triggers that publish every change to a dashboard document or approver table on
+-- the dashboard_docs_changed channel as {"event", "doc_type", "doc_id", "grouping_id", "company_id", "user_ids"}.
+-- startDashboardCacheInvalidationListener() bumps the cache versions of the affected
+-- company; streamDashboardEvents() pushes the changed rows to subscribed users.
+-- refresh_unified_docs_view() publishes {"event": "view_refreshed"} on the same channel.
+-- Generated from buildDashboardCacheInvalidationDDL(); regenerate after registry changes.
+
+-- ============================================================================
+-- CHANGE TRIGGERS
+-- ============================================================================
+CREATE OR REPLACE FUNCTION notify_dashboard_change_requisitions() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'created'
+    WHEN TG_OP = 'DELETE' THEN 'deleted'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'status_changed'
+    WHEN to_jsonb(NEW)->'assigned_to' IS DISTINCT FROM to_jsonb(OLD)->'assigned_to' THEN 'assignee_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'requisition' AS doc_type, r.id AS doc_id, CAST(r.id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to] || ARRAY(
+      SELECT approver_id FROM requisition_approvers WHERE requisition_id = r.id
+      UNION SELECT alt_approver_id FROM requisition_approvers WHERE requisition_id = r.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::requisitions, changed_rows) r
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON requisitions;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON requisitions
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_requisitions();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_requisition_approvers() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'approver_added'
+    WHEN TG_OP = 'DELETE' THEN 'approver_removed'
+    WHEN to_jsonb(NEW)->'approver_id' IS DISTINCT FROM to_jsonb(OLD)->'approver_id' OR to_jsonb(NEW)->'alt_approver_id' IS DISTINCT FROM to_jsonb(OLD)->'alt_approver_id' THEN 'approver_changed'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'approval_status_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'requisition' AS doc_type, r.id AS doc_id, CAST(r.id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to] || ARRAY(
+      SELECT approver_id FROM requisition_approvers WHERE requisition_id = r.id
+      UNION SELECT alt_approver_id FROM requisition_approvers WHERE requisition_id = r.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::requisition_approvers, changed_rows) approver
+    INNER JOIN requisitions r ON approver.requisition_id = r.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON requisition_approvers;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON requisition_approvers
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_requisition_approvers();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_canvass_requisitions() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'created'
+    WHEN TG_OP = 'DELETE' THEN 'deleted'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'status_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'canvass' AS doc_type, cr.id AS doc_id, CAST(r.id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to] || ARRAY(
+      SELECT user_id FROM canvass_approvers WHERE canvass_requisition_id = cr.id
+      UNION SELECT alt_approver_id FROM canvass_approvers WHERE canvass_requisition_id = cr.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::canvass_requisitions, changed_rows) cr
+    LEFT JOIN requisitions r ON cr.requisition_id = r.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON canvass_requisitions;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON canvass_requisitions
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_canvass_requisitions();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_canvass_approvers() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'approver_added'
+    WHEN TG_OP = 'DELETE' THEN 'approver_removed'
+    WHEN to_jsonb(NEW)->'user_id' IS DISTINCT FROM to_jsonb(OLD)->'user_id' OR to_jsonb(NEW)->'alt_approver_id' IS DISTINCT FROM to_jsonb(OLD)->'alt_approver_id' THEN 'approver_changed'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'approval_status_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'canvass' AS doc_type, cr.id AS doc_id, CAST(r.id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to] || ARRAY(
+      SELECT user_id FROM canvass_approvers WHERE canvass_requisition_id = cr.id
+      UNION SELECT alt_approver_id FROM canvass_approvers WHERE canvass_requisition_id = cr.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::canvass_approvers, changed_rows) approver
+    INNER JOIN canvass_requisitions cr ON approver.canvass_requisition_id = cr.id
+    LEFT JOIN requisitions r ON cr.requisition_id = r.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON canvass_approvers;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON canvass_approvers
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_canvass_approvers();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_purchase_orders() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'created'
+    WHEN TG_OP = 'DELETE' THEN 'deleted'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'status_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'purchase_order' AS doc_type, po.id AS doc_id, CAST(r.id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to] || ARRAY(
+      SELECT user_id FROM purchase_order_approvers WHERE purchase_order_id = po.id
+      UNION SELECT alt_approver_id FROM purchase_order_approvers WHERE purchase_order_id = po.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::purchase_orders, changed_rows) po
+    LEFT JOIN requisitions r ON po.requisition_id = r.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON purchase_orders;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON purchase_orders
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_purchase_orders();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_purchase_order_approvers() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'approver_added'
+    WHEN TG_OP = 'DELETE' THEN 'approver_removed'
+    WHEN to_jsonb(NEW)->'user_id' IS DISTINCT FROM to_jsonb(OLD)->'user_id' OR to_jsonb(NEW)->'alt_approver_id' IS DISTINCT FROM to_jsonb(OLD)->'alt_approver_id' THEN 'approver_changed'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'approval_status_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'purchase_order' AS doc_type, po.id AS doc_id, CAST(r.id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to] || ARRAY(
+      SELECT user_id FROM purchase_order_approvers WHERE purchase_order_id = po.id
+      UNION SELECT alt_approver_id FROM purchase_order_approvers WHERE purchase_order_id = po.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::purchase_order_approvers, changed_rows) approver
+    INNER JOIN purchase_orders po ON approver.purchase_order_id = po.id
+    LEFT JOIN requisitions r ON po.requisition_id = r.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON purchase_order_approvers;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON purchase_order_approvers
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_purchase_order_approvers();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_delivery_receipts() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'created'
+    WHEN TG_OP = 'DELETE' THEN 'deleted'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'status_changed'
+    WHEN to_jsonb(NEW)->'created_by' IS DISTINCT FROM to_jsonb(OLD)->'created_by' THEN 'responsible_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'delivery_receipt' AS doc_type, dr.id AS doc_id, CAST(r.id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to], NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::delivery_receipts, changed_rows) dr
+    LEFT JOIN requisitions r ON dr.requisition_id = r.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON delivery_receipts;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON delivery_receipts
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_delivery_receipts();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_invoice_reports() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'created'
+    WHEN TG_OP = 'DELETE' THEN 'deleted'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'status_changed'
+    WHEN to_jsonb(NEW)->'created_by' IS DISTINCT FROM to_jsonb(OLD)->'created_by' THEN 'responsible_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'invoice' AS doc_type, ir.id AS doc_id, CAST(r.id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to], NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::invoice_reports, changed_rows) ir
+    LEFT JOIN requisitions r ON ir.requisition_id = r.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON invoice_reports;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON invoice_reports
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_invoice_reports();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_rs_payment_requests() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'created'
+    WHEN TG_OP = 'DELETE' THEN 'deleted'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'status_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'payment_request' AS doc_type, pr.id AS doc_id, CAST(pr.requisition_id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to] || ARRAY(
+      SELECT user_id FROM rs_payment_request_approvers WHERE payment_request_id = pr.id
+      UNION SELECT alt_approver_id FROM rs_payment_request_approvers WHERE payment_request_id = pr.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::rs_payment_requests, changed_rows) pr
+    LEFT JOIN requisitions r ON pr.requisition_id = r.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON rs_payment_requests;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON rs_payment_requests
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_rs_payment_requests();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_rs_payment_request_approvers() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'approver_added'
+    WHEN TG_OP = 'DELETE' THEN 'approver_removed'
+    WHEN to_jsonb(NEW)->'user_id' IS DISTINCT FROM to_jsonb(OLD)->'user_id' OR to_jsonb(NEW)->'alt_approver_id' IS DISTINCT FROM to_jsonb(OLD)->'alt_approver_id' THEN 'approver_changed'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'approval_status_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'payment_request' AS doc_type, pr.id AS doc_id, CAST(pr.requisition_id AS TEXT) AS grouping_id, r.company_id,
+    ARRAY_REMOVE(ARRAY[r.created_by, r.assigned_to] || ARRAY(
+      SELECT user_id FROM rs_payment_request_approvers WHERE payment_request_id = pr.id
+      UNION SELECT alt_approver_id FROM rs_payment_request_approvers WHERE payment_request_id = pr.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::rs_payment_request_approvers, changed_rows) approver
+    INNER JOIN rs_payment_requests pr ON approver.payment_request_id = pr.id
+    LEFT JOIN requisitions r ON pr.requisition_id = r.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON rs_payment_request_approvers;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON rs_payment_request_approvers
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_rs_payment_request_approvers();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_non_requisitions() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'created'
+    WHEN TG_OP = 'DELETE' THEN 'deleted'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'status_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'non_requisition' AS doc_type, nr.id AS doc_id, CONCAT('non_rs_', CAST(nr.id AS TEXT)) AS grouping_id, nr.company_id,
+    ARRAY_REMOVE(ARRAY[nr.created_by, NULL] || ARRAY(
+      SELECT user_id FROM non_requisition_approvers WHERE non_requisition_id = nr.id
+      UNION SELECT alt_approver_id FROM non_requisition_approvers WHERE non_requisition_id = nr.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::non_requisitions, changed_rows) nr
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON non_requisitions;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON non_requisitions
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_non_requisitions();
+
+CREATE OR REPLACE FUNCTION notify_dashboard_change_non_requisition_approvers() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+    WHEN TG_OP = 'INSERT' THEN 'approver_added'
+    WHEN TG_OP = 'DELETE' THEN 'approver_removed'
+    WHEN to_jsonb(NEW)->'user_id' IS DISTINCT FROM to_jsonb(OLD)->'user_id' OR to_jsonb(NEW)->'alt_approver_id' IS DISTINCT FROM to_jsonb(OLD)->'alt_approver_id' THEN 'approver_changed'
+    WHEN to_jsonb(NEW)->'status' IS DISTINCT FROM to_jsonb(OLD)->'status' THEN 'approval_status_changed'
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    SELECT 'non_requisition' AS doc_type, nr.id AS doc_id, CONCAT('non_rs_', CAST(nr.id AS TEXT)) AS grouping_id, nr.company_id,
+    ARRAY_REMOVE(ARRAY[nr.created_by, NULL] || ARRAY(
+      SELECT user_id FROM non_requisition_approvers WHERE non_requisition_id = nr.id
+      UNION SELECT alt_approver_id FROM non_requisition_approvers WHERE non_requisition_id = nr.id
+    ), NULL) AS user_ids
+    FROM jsonb_populate_recordset(NULL::non_requisition_approvers, changed_rows) approver
+    INNER JOIN non_requisitions nr ON approver.non_requisition_id = nr.id
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON non_requisition_approvers;
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON non_requisition_approvers
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_non_requisition_approvers();
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+SELECT
+  event_object_table AS table_name,
+  STRING_AGG(event_manipulation, ', ' ORDER BY event_manipulation) AS events
+FROM information_schema.triggers
+WHERE trigger_name = 'trg_dashboard_change'
+GROUP BY event_object_table
+ORDER BY event_object_table;
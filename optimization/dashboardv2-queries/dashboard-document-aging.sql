@@ -0,0 +1,287 @@
+-- Dashboard Document Aging
+-- When each dashboard document entered its current status, and every status it has
+-- entered. The dashboard reports time in status, age since the root requisition was
+-- created and SLA status (DASHBOARD_SLA_THRESHOLDS) from these tables, and the trends
+-- API counts approvals and closures from the history.
+-- Run before unified-docs-materialized-view.sql; the view reads status_since from it.
+--
+-- The triggers and backfill below are generated from buildDocumentStatusTrackingDDL()
+-- in optimized-getAllRequisitionsV2.js; regenerate after registry changes.
+
+-- ============================================================================
+-- STATUS TABLES
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS document_status_since (
+  doc_type TEXT NOT NULL,
+  doc_id INTEGER NOT NULL,
+  status TEXT,
+  status_since TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (doc_type, doc_id)
+);
+
+-- Every status a document has entered; getDashboardTrends() counts approvals and
+-- closures from it
+CREATE TABLE IF NOT EXISTS document_status_history (
+  doc_type TEXT NOT NULL,
+  doc_id INTEGER NOT NULL,
+  status TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_status_history_doc
+ON document_status_history (doc_type, doc_id, changed_at DESC);
+
+-- Partition by changed_at when TimescaleDB is installed
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'timescaledb') THEN
+    PERFORM create_hypertable('document_status_history', 'changed_at', if_not_exists => TRUE);
+  END IF;
+END;
+$$;
+
+-- ============================================================================
+-- STATUS TRIGGERS AND BACKFILL
+-- ============================================================================
+CREATE OR REPLACE FUNCTION track_document_status_requisitions() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    DELETE FROM document_status_since WHERE doc_type = 'requisition' AND doc_id = OLD.id;
+  ELSIF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+    VALUES ('requisition', NEW.id, NEW.status, NOW())
+    ON CONFLICT (doc_type, doc_id) DO UPDATE
+    SET status = EXCLUDED.status, status_since = EXCLUDED.status_since;
+
+    INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+    VALUES ('requisition', NEW.id, NEW.status, NOW());
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_document_status_since ON requisitions;
+CREATE TRIGGER trg_document_status_since
+AFTER INSERT OR UPDATE OF status OR DELETE ON requisitions
+FOR EACH ROW EXECUTE FUNCTION track_document_status_requisitions();
+
+CREATE OR REPLACE FUNCTION track_document_status_canvass_requisitions() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    DELETE FROM document_status_since WHERE doc_type = 'canvass' AND doc_id = OLD.id;
+  ELSIF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+    VALUES ('canvass', NEW.id, NEW.status, NOW())
+    ON CONFLICT (doc_type, doc_id) DO UPDATE
+    SET status = EXCLUDED.status, status_since = EXCLUDED.status_since;
+
+    INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+    VALUES ('canvass', NEW.id, NEW.status, NOW());
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_document_status_since ON canvass_requisitions;
+CREATE TRIGGER trg_document_status_since
+AFTER INSERT OR UPDATE OF status OR DELETE ON canvass_requisitions
+FOR EACH ROW EXECUTE FUNCTION track_document_status_canvass_requisitions();
+
+CREATE OR REPLACE FUNCTION track_document_status_purchase_orders() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    DELETE FROM document_status_since WHERE doc_type = 'purchase_order' AND doc_id = OLD.id;
+  ELSIF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+    VALUES ('purchase_order', NEW.id, NEW.status, NOW())
+    ON CONFLICT (doc_type, doc_id) DO UPDATE
+    SET status = EXCLUDED.status, status_since = EXCLUDED.status_since;
+
+    INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+    VALUES ('purchase_order', NEW.id, NEW.status, NOW());
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_document_status_since ON purchase_orders;
+CREATE TRIGGER trg_document_status_since
+AFTER INSERT OR UPDATE OF status OR DELETE ON purchase_orders
+FOR EACH ROW EXECUTE FUNCTION track_document_status_purchase_orders();
+
+CREATE OR REPLACE FUNCTION track_document_status_delivery_receipts() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    DELETE FROM document_status_since WHERE doc_type = 'delivery_receipt' AND doc_id = OLD.id;
+  ELSIF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+    VALUES ('delivery_receipt', NEW.id, NEW.status, NOW())
+    ON CONFLICT (doc_type, doc_id) DO UPDATE
+    SET status = EXCLUDED.status, status_since = EXCLUDED.status_since;
+
+    INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+    VALUES ('delivery_receipt', NEW.id, NEW.status, NOW());
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_document_status_since ON delivery_receipts;
+CREATE TRIGGER trg_document_status_since
+AFTER INSERT OR UPDATE OF status OR DELETE ON delivery_receipts
+FOR EACH ROW EXECUTE FUNCTION track_document_status_delivery_receipts();
+
+CREATE OR REPLACE FUNCTION track_document_status_invoice_reports() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    DELETE FROM document_status_since WHERE doc_type = 'invoice' AND doc_id = OLD.id;
+  ELSIF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+    VALUES ('invoice', NEW.id, NEW.status, NOW())
+    ON CONFLICT (doc_type, doc_id) DO UPDATE
+    SET status = EXCLUDED.status, status_since = EXCLUDED.status_since;
+
+    INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+    VALUES ('invoice', NEW.id, NEW.status, NOW());
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_document_status_since ON invoice_reports;
+CREATE TRIGGER trg_document_status_since
+AFTER INSERT OR UPDATE OF status OR DELETE ON invoice_reports
+FOR EACH ROW EXECUTE FUNCTION track_document_status_invoice_reports();
+
+CREATE OR REPLACE FUNCTION track_document_status_rs_payment_requests() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    DELETE FROM document_status_since WHERE doc_type = 'payment_request' AND doc_id = OLD.id;
+  ELSIF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+    VALUES ('payment_request', NEW.id, NEW.status, NOW())
+    ON CONFLICT (doc_type, doc_id) DO UPDATE
+    SET status = EXCLUDED.status, status_since = EXCLUDED.status_since;
+
+    INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+    VALUES ('payment_request', NEW.id, NEW.status, NOW());
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_document_status_since ON rs_payment_requests;
+CREATE TRIGGER trg_document_status_since
+AFTER INSERT OR UPDATE OF status OR DELETE ON rs_payment_requests
+FOR EACH ROW EXECUTE FUNCTION track_document_status_rs_payment_requests();
+
+CREATE OR REPLACE FUNCTION track_document_status_non_requisitions() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    DELETE FROM document_status_since WHERE doc_type = 'non_requisition' AND doc_id = OLD.id;
+  ELSIF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+    VALUES ('non_requisition', NEW.id, NEW.status, NOW())
+    ON CONFLICT (doc_type, doc_id) DO UPDATE
+    SET status = EXCLUDED.status, status_since = EXCLUDED.status_since;
+
+    INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+    VALUES ('non_requisition', NEW.id, NEW.status, NOW());
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_document_status_since ON non_requisitions;
+CREATE TRIGGER trg_document_status_since
+AFTER INSERT OR UPDATE OF status OR DELETE ON non_requisitions
+FOR EACH ROW EXECUTE FUNCTION track_document_status_non_requisitions();
+
+INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+SELECT 'requisition', id, status, COALESCE(updated_at, NOW()) FROM requisitions
+ON CONFLICT (doc_type, doc_id) DO NOTHING;
+
+INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+SELECT 'requisition', id, status, COALESCE(updated_at, NOW()) FROM requisitions t
+WHERE NOT EXISTS (
+  SELECT 1 FROM document_status_history h WHERE h.doc_type = 'requisition' AND h.doc_id = t.id
+);
+
+INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+SELECT 'canvass', id, status, COALESCE(updated_at, NOW()) FROM canvass_requisitions
+ON CONFLICT (doc_type, doc_id) DO NOTHING;
+
+INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+SELECT 'canvass', id, status, COALESCE(updated_at, NOW()) FROM canvass_requisitions t
+WHERE NOT EXISTS (
+  SELECT 1 FROM document_status_history h WHERE h.doc_type = 'canvass' AND h.doc_id = t.id
+);
+
+INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+SELECT 'purchase_order', id, status, COALESCE(updated_at, NOW()) FROM purchase_orders
+ON CONFLICT (doc_type, doc_id) DO NOTHING;
+
+INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+SELECT 'purchase_order', id, status, COALESCE(updated_at, NOW()) FROM purchase_orders t
+WHERE NOT EXISTS (
+  SELECT 1 FROM document_status_history h WHERE h.doc_type = 'purchase_order' AND h.doc_id = t.id
+);
+
+INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+SELECT 'delivery_receipt', id, status, COALESCE(updated_at, NOW()) FROM delivery_receipts
+ON CONFLICT (doc_type, doc_id) DO NOTHING;
+
+INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+SELECT 'delivery_receipt', id, status, COALESCE(updated_at, NOW()) FROM delivery_receipts t
+WHERE NOT EXISTS (
+  SELECT 1 FROM document_status_history h WHERE h.doc_type = 'delivery_receipt' AND h.doc_id = t.id
+);
+
+INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+SELECT 'invoice', id, status, COALESCE(updated_at, NOW()) FROM invoice_reports
+ON CONFLICT (doc_type, doc_id) DO NOTHING;
+
+INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+SELECT 'invoice', id, status, COALESCE(updated_at, NOW()) FROM invoice_reports t
+WHERE NOT EXISTS (
+  SELECT 1 FROM document_status_history h WHERE h.doc_type = 'invoice' AND h.doc_id = t.id
+);
+
+INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+SELECT 'payment_request', id, status, COALESCE(updated_at, NOW()) FROM rs_payment_requests
+ON CONFLICT (doc_type, doc_id) DO NOTHING;
+
+INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+SELECT 'payment_request', id, status, COALESCE(updated_at, NOW()) FROM rs_payment_requests t
+WHERE NOT EXISTS (
+  SELECT 1 FROM document_status_history h WHERE h.doc_type = 'payment_request' AND h.doc_id = t.id
+);
+
+INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+SELECT 'non_requisition', id, status, COALESCE(updated_at, NOW()) FROM non_requisitions
+ON CONFLICT (doc_type, doc_id) DO NOTHING;
+
+INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+SELECT 'non_requisition', id, status, COALESCE(updated_at, NOW()) FROM non_requisitions t
+WHERE NOT EXISTS (
+  SELECT 1 FROM document_status_history h WHERE h.doc_type = 'non_requisition' AND h.doc_id = t.id
+);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+SELECT
+  doc_type,
+  status,
+  COUNT(*) AS documents,
+  MAX(NOW() - status_since) AS longest_in_status
+FROM document_status_since
+GROUP BY doc_type, status
+ORDER BY doc_type, status;
@@ -0,0 +1,49 @@
+-- Dashboard Saved Views
+-- Named requestType / filterBy / order / timeRange combinations a user saves for
+-- getAllRequisitionsV2Optimized and runs by id with runDashboardView().
+-- A view can be shared with every user of a role (by role name) or of a department;
+-- only its owner can change or delete it. validateDashboardViews() reports views whose
+-- filters reference companies, projects, departments or statuses that are gone.
+
+-- ============================================================================
+-- SAVED VIEWS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS dashboard_saved_views (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  request_type TEXT NOT NULL DEFAULT 'all',
+  -- Stored as the dashboard receives them; relative time ranges resolve on every run
+  filter_by JSONB,
+  sort_order JSONB,
+  time_range JSONB,
+  -- At most one per user, maintained by setDefaultDashboardView()
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  shared_role TEXT,
+  shared_department_id INTEGER REFERENCES departments (id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dashboard_saved_views_name
+ON dashboard_saved_views (user_id, LOWER(name));
+
+CREATE INDEX IF NOT EXISTS idx_dashboard_saved_views_shared_role
+ON dashboard_saved_views (shared_role)
+WHERE shared_role IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_dashboard_saved_views_shared_department
+ON dashboard_saved_views (shared_department_id)
+WHERE shared_department_id IS NOT NULL;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+SELECT
+  COUNT(*) AS views,
+  COUNT(DISTINCT user_id) AS owners,
+  COUNT(*) FILTER (WHERE shared_role IS NOT NULL OR shared_department_id IS NOT NULL) AS shared
+FROM dashboard_saved_views;
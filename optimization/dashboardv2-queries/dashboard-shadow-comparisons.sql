@@ -0,0 +1,50 @@
+-- Dashboard Shadow Comparisons
+-- Results of running getAllRequisitionsV2Optimized and getAllRequisitionsV2Original
+-- side by side for a sampled share of requests (DASHBOARD_SHADOW_SAMPLE_RATE).
+-- getDashboardShadowReport() summarizes this table for the cutover decision.
+
+-- ============================================================================
+-- COMPARISONS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS dashboard_shadow_comparisons (
+  id BIGSERIAL PRIMARY KEY,
+  compared_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  user_id INTEGER,
+  request_type TEXT NOT NULL,
+  served_path TEXT NOT NULL,
+  matched BOOLEAN NOT NULL,
+  missing_count INTEGER NOT NULL DEFAULT 0,
+  extra_count INTEGER NOT NULL DEFAULT 0,
+  order_mismatch BOOLEAN NOT NULL DEFAULT false,
+  totals_mismatch BOOLEAN NOT NULL DEFAULT false,
+  field_diff_count INTEGER NOT NULL DEFAULT 0,
+  optimized_ms INTEGER NOT NULL,
+  original_ms INTEGER NOT NULL,
+  optimized_error TEXT,
+  original_error TEXT,
+  -- Time window the optimized query applied; explains most missing-ID differences
+  time_window JSONB,
+  -- Per-tab missing/extra IDs, first order difference and field differences (capped examples)
+  diff JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_dashboard_shadow_comparisons_compared_at
+ON dashboard_shadow_comparisons (compared_at DESC);
+
+-- ============================================================================
+-- RETENTION
+-- ============================================================================
+-- Comparisons are only needed until cutover; keep 30 days
+-- DELETE FROM dashboard_shadow_comparisons WHERE compared_at < NOW() - INTERVAL '30 days';
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+SELECT
+  request_type,
+  COUNT(*) AS comparisons,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE matched) / NULLIF(COUNT(*), 0), 2) AS match_pct
+FROM dashboard_shadow_comparisons
+WHERE compared_at >= NOW() - INTERVAL '1 day'
+GROUP BY request_type
+ORDER BY request_type;
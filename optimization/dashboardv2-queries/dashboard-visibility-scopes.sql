@@ -0,0 +1,63 @@
+-- Dashboard Visibility Scopes
+-- Grants that decide which documents a user sees on the "all" dashboard tab.
+-- Users whose role is not in DASHBOARD_UNSCOPED_ROLES see their own documents,
+-- documents assigned to them or awaiting their approval, and every document of their
+-- own department (users.department_id), plus every document of the companies,
+-- projects and departments granted here.
+--
+-- Each row grants one dimension; leave the other two columns NULL.
+
+-- ============================================================================
+-- GRANTS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS user_dashboard_scopes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  company_id INTEGER REFERENCES companies (id) ON DELETE CASCADE,
+  project_id INTEGER REFERENCES projects (id) ON DELETE CASCADE,
+  department_id INTEGER REFERENCES departments (id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT user_dashboard_scopes_one_dimension CHECK (
+    num_nonnulls(company_id, project_id, department_id) = 1
+  )
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_dashboard_scopes_grant
+ON user_dashboard_scopes (user_id, COALESCE(company_id, 0), COALESCE(project_id, 0), COALESCE(department_id, 0));
+
+CREATE INDEX IF NOT EXISTS idx_user_dashboard_scopes_company
+ON user_dashboard_scopes (user_id, company_id)
+WHERE company_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_dashboard_scopes_project
+ON user_dashboard_scopes (user_id, project_id)
+WHERE project_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_dashboard_scopes_department
+ON user_dashboard_scopes (user_id, department_id)
+WHERE department_id IS NOT NULL;
+
+-- ============================================================================
+-- EXAMPLE GRANTS
+-- ============================================================================
+-- Every document of a company:
+-- INSERT INTO user_dashboard_scopes (user_id, company_id) VALUES (42, 1);
+--
+-- One project and one department:
+-- INSERT INTO user_dashboard_scopes (user_id, project_id) VALUES (42, 7);
+-- INSERT INTO user_dashboard_scopes (user_id, department_id) VALUES (42, 3);
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+SELECT
+  s.user_id,
+  COUNT(s.company_id) AS companies,
+  COUNT(s.project_id) AS projects,
+  COUNT(s.department_id) AS departments
+FROM user_dashboard_scopes s
+GROUP BY s.user_id
+ORDER BY s.user_id;
@@ -9,553 +9,4220 @@
  * 5. Leverages TimescaleDB's time-series capabilities
  */
 
-async getAllRequisitionsV2Optimized(payload) {
+async getAllRequisitionsV2Optimized(payload, { allowCache = true, allowShadowCompare = true, allowFallback = true } = {}) {
+  if (allowCache && this.getDashboardCacheConfig().enabled) {
+    return this.getCachedDashboard(payload, { allowShadowCompare, allowFallback });
+  }
+
+  // A sampled share of requests runs both implementations and records the differences
+  if (allowShadowCompare && this.shouldShadowCompareDashboard()) {
+    return this.shadowCompareDashboard(payload);
+  }
+
   const {
     limit = 10,
     page = 1,
     order,
     filterBy,
     userFromToken,
-    requestType,
-    timeRange = '6 months', // New: Time-based filtering
+    requestType, // my_request | my_approval | all | my_approval_history; omit for the first three
+    timeRange, // New: Time-based filtering (defaults to 6 months, 'all' for no window)
+    timeZone, // IANA timezone used to resolve dates and presets, e.g. 'Asia/Manila'
+    pagination, // Optional per-tab overrides: { my_request: { page, limit, order, cursor }, ... }
+    cursor, // Opaque keyset cursor from meta.nextCursor / meta.prevCursor
+    maxStalenessSeconds, // Optional override of the unified_docs_view staleness budget
+    grouped = false, // Collapse each requisition / non-RS with its downstream documents
+    facets = false, // Add per-doc-type / status / company / project counts to meta.facets
   } = payload;
 
   const { id: userId, role } = userFromToken;
-  const offset = (page - 1) * limit;
-
-  // Time-based optimization: Use TimescaleDB's time partitioning
-  const timeFilter = this.buildTimeFilter(timeRange, filterBy?.updated_at);
 
-  const replacements = {
-    userId,
-    limit: parseInt(limit),
-    offset: parseInt(offset),
-    timeStart: timeFilter.start,
-    timeEnd: timeFilter.end,
-  };
+  // Each requested tab is paged on its own instead of slicing one shared page
+  const categoryPages = this.buildCategoryPagination(
+    requestType,
+    { page, limit, order: this.resolveDashboardOrder(order, filterBy), cursor },
+    pagination
+  );
+  if (grouped && Object.values(categoryPages).some(categoryPage => categoryPage.cursor)) {
+    throw this.createBadRequestError('Cursor pagination is not supported in grouped mode; use page instead');
+  }
 
-  // Build optimized filter conditions with time-based hints
-  const baseFilterConditions = this.buildOptimizedFilters(filterBy, replacements);
-  const baseFilterClause = baseFilterConditions.length > 0
-    ? `AND ${baseFilterConditions.join(' AND ')}`
-    : '';
+  const {
+    timeFilter,
+    replacements,
+    baseFilterClause,
+    docsSource,
+    unifiedDocsCTE: optimizedUnifiedDocsCTE,
+  } = await this.prepareDashboardQuery({ userId, filterBy, timeRange, timeZone, maxStalenessSeconds });
 
-  // Optimized unified docs CTE with TimescaleDB hints
-  const optimizedUnifiedDocsCTE = `
-    WITH RECURSIVE unified_docs AS (
-      -- Use time-based filtering for chunk exclusion
-      SELECT * FROM (
-        -- Requisitions with time-based optimization
-        SELECT
-          r.id, 'requisition' AS doc_type,
-          CASE
-            WHEN r.status = 'rs_draft' THEN CONCAT('RS-TMP-', r.company_code, r.rs_letter, COALESCE(r.draft_rs_number, ''))
-            ELSE CONCAT('RS-', r.company_code, r.rs_letter, COALESCE(r.rs_number, ''))
-          END AS ref_number,
-          r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
-          r.updated_at, r.status,
-          CAST(r.id AS TEXT) AS grouping_id,
-          r.status AS root_status,
-          r.assigned_to AS assigned_to_user_id,
-          -- Optimized approver aggregation using lateral join
-          COALESCE(ra.approvers, '[]'::json) AS approvers
-        FROM requisitions r
-        LEFT JOIN LATERAL (
-          SELECT JSON_AGG(DISTINCT user_id) AS approvers
-          FROM (
-            SELECT approver_id AS user_id FROM requisition_approvers WHERE requisition_id = r.id
-            UNION ALL
-            SELECT alt_approver_id AS user_id FROM requisition_approvers
-            WHERE requisition_id = r.id AND alt_approver_id IS NOT NULL
-          ) approver_list
-        ) ra ON true
-        WHERE r.updated_at >= :timeStart AND r.updated_at <= :timeEnd
-
-        UNION ALL
-
-        -- Canvass requisitions with optimized joins
-        SELECT
-          cr.id, 'canvass' AS doc_type,
-          CASE
-            WHEN cr.cs_number IS NULL THEN CONCAT('CS-TMP-', r.company_code, cr.cs_letter, COALESCE(cr.draft_cs_number, ''))
-            ELSE CONCAT('CS-', r.company_code, cr.cs_letter, COALESCE(cr.cs_number, ''))
-          END AS ref_number,
-          r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
-          cr.updated_at, cr.status,
-          CAST(r.id AS TEXT) AS grouping_id,
-          r.status AS root_status,
-          r.assigned_to AS assigned_to_user_id,
-          COALESCE(ca.approvers, '[]'::json) AS approvers
-        FROM canvass_requisitions cr
-        INNER JOIN requisitions r ON cr.requisition_id = r.id
-        LEFT JOIN LATERAL (
-          SELECT JSON_AGG(DISTINCT user_id) AS approvers
-          FROM (
-            SELECT user_id FROM canvass_approvers WHERE canvass_requisition_id = cr.id
-            UNION ALL
-            SELECT alt_approver_id AS user_id FROM canvass_approvers
-            WHERE canvass_requisition_id = cr.id AND alt_approver_id IS NOT NULL
-          ) approver_list
-        ) ca ON true
-        WHERE cr.updated_at >= :timeStart AND cr.updated_at <= :timeEnd
-
-        UNION ALL
-
-        -- Purchase orders with time optimization
-        SELECT
-          po.id, 'purchase_order' AS doc_type,
-          CONCAT('PO-', r.company_code, po.po_letter, po.po_number) AS ref_number,
-          r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
-          po.updated_at, po.status,
-          CAST(r.id AS TEXT) AS grouping_id,
-          r.status AS root_status,
-          r.assigned_to AS assigned_to_user_id,
-          COALESCE(poa.approvers, '[]'::json) AS approvers
-        FROM purchase_orders po
-        INNER JOIN requisitions r ON po.requisition_id = r.id
-        LEFT JOIN LATERAL (
-          SELECT JSON_AGG(DISTINCT user_id) AS approvers
-          FROM (
-            SELECT user_id FROM purchase_order_approvers WHERE purchase_order_id = po.id
-            UNION ALL
-            SELECT alt_approver_id AS user_id FROM purchase_order_approvers
-            WHERE purchase_order_id = po.id AND alt_approver_id IS NOT NULL
-          ) approver_list
-        ) poa ON true
-        WHERE po.updated_at >= :timeStart AND po.updated_at <= :timeEnd
-
-        UNION ALL
-
-        -- Delivery receipts
-        SELECT
-          dr.id, 'delivery_receipt' AS doc_type,
-          CASE
-            WHEN dr.is_draft THEN CONCAT('RR-TMP-', COALESCE(dr.draft_dr_number, ''))
-            ELSE CONCAT('RR-', COALESCE(dr.dr_number, ''))
-          END AS ref_number,
-          r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
-          dr.updated_at, COALESCE(dr.status, '') AS status,
-          CAST(r.id AS TEXT) AS grouping_id,
-          r.status AS root_status,
-          r.assigned_to AS assigned_to_user_id,
-          NULL AS approvers
-        FROM delivery_receipts dr
-        INNER JOIN requisitions r ON dr.requisition_id = r.id
-        WHERE dr.updated_at >= :timeStart AND dr.updated_at <= :timeEnd
-
-        UNION ALL
-
-        -- Invoice reports
-        SELECT
-          ir.id, 'invoice' AS doc_type,
-          CASE
-            WHEN ir.is_draft THEN CONCAT('IR-TMP-', COALESCE(ir.ir_draft_number, ''))
-            ELSE CONCAT('IR-', COALESCE(ir.ir_number, ''))
-          END AS ref_number,
-          r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
-          ir.updated_at, ir.status,
-          CAST(r.id AS TEXT) AS grouping_id,
-          r.status AS root_status,
-          r.assigned_to AS assigned_to_user_id,
-          NULL AS approvers
-        FROM invoice_reports ir
-        INNER JOIN requisitions r ON ir.requisition_id = r.id
-        WHERE ir.updated_at >= :timeStart AND ir.updated_at <= :timeEnd
-
-        UNION ALL
-
-        -- Payment requests
-        SELECT
-          pr.id, 'payment_request' AS doc_type,
-          CASE
-            WHEN pr.is_draft THEN CONCAT('VR-TMP-', r.company_code, COALESCE(pr.draft_pr_number, ''))
-            ELSE CONCAT('VR-', r.company_code, pr.pr_letter, COALESCE(pr.pr_number, ''))
-          END AS ref_number,
-          r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
-          pr.updated_at, pr.status,
-          CAST(pr.requisition_id AS TEXT) AS grouping_id,
-          r.status AS root_status,
-          r.assigned_to AS assigned_to_user_id,
-          COALESCE(pra.approvers, '[]'::json) AS approvers
-        FROM rs_payment_requests pr
-        INNER JOIN requisitions r ON pr.requisition_id = r.id
-        LEFT JOIN LATERAL (
-          SELECT JSON_AGG(DISTINCT user_id) AS approvers
-          FROM (
-            SELECT user_id FROM rs_payment_request_approvers WHERE payment_request_id = pr.id
-            UNION ALL
-            SELECT alt_approver_id AS user_id FROM rs_payment_request_approvers
-            WHERE payment_request_id = pr.id AND alt_approver_id IS NOT NULL
-          ) approver_list
-        ) pra ON true
-        WHERE pr.updated_at >= :timeStart AND pr.updated_at <= :timeEnd
-
-        UNION ALL
-
-        -- Non-requisitions
-        SELECT
-          nr.id, 'non_requisition' AS doc_type,
-          CASE
-            WHEN nr.status = 'draft' THEN CONCAT('NR-TMP-', nr.non_rs_letter, COALESCE(nr.draft_non_rs_number, ''))
-            ELSE CONCAT('NR-', nr.non_rs_letter, COALESCE(nr.non_rs_number, ''))
-          END AS ref_number,
-          nr.created_by AS requestor_id, nr.company_id, nr.project_id, nr.department_id,
-          nr.updated_at, nr.status,
-          CONCAT('non_rs_', CAST(nr.id AS TEXT)) AS grouping_id,
-          nr.status AS root_status,
-          NULL AS assigned_to_user_id,
-          COALESCE(nra.approvers, '[]'::json) AS approvers
-        FROM non_requisitions nr
-        LEFT JOIN LATERAL (
-          SELECT JSON_AGG(DISTINCT user_id) AS approvers
-          FROM (
-            SELECT user_id FROM non_requisition_approvers WHERE non_requisition_id = nr.id
-            UNION ALL
-            SELECT alt_approver_id AS user_id FROM non_requisition_approvers
-            WHERE non_requisition_id = nr.id AND alt_approver_id IS NOT NULL
-          ) approver_list
-        ) nra ON true
-        WHERE nr.updated_at >= :timeStart AND nr.updated_at <= :timeEnd
-      ) all_docs
-    )
-  `;
+  Object.entries(categoryPages).forEach(([category, categoryPage]) => {
+    // One extra row tells us whether another page exists in the paging direction
+    replacements[`${category}_limit`] = grouped ? categoryPage.limit : categoryPage.limit + 1;
+    replacements[`${category}_offset`] = categoryPage.offset;
 
-  // Build optimized order clause
-  const orderClause = this.buildOptimizedOrderClause(order);
+    categoryPage.cursor?.values.forEach((value, index) => {
+      replacements[`${category}_cursor_${index}`] = value;
+    });
+  });
 
   // Single optimized query for all request types
-  const optimizedQuery = this.buildSingleOptimizedQuery(
-    optimizedUnifiedDocsCTE,
-    baseFilterClause,
-    orderClause,
-    requestType,
-    role
-  );
+  const optimizedQuery = grouped
+    ? this.buildGroupedOptimizedQuery(
+      optimizedUnifiedDocsCTE,
+      this.buildChainDocsCTE(docsSource.source),
+      baseFilterClause,
+      categoryPages,
+      role
+    )
+    : this.buildSingleOptimizedQuery(
+      optimizedUnifiedDocsCTE,
+      baseFilterClause,
+      categoryPages,
+      role
+    );
 
+  // Facets count the requested tab, or every document when all tabs are returned
+  const facetsQuery = facets
+    ? this.buildDashboardFacetsQuery(optimizedUnifiedDocsCTE, filterBy, replacements, {
+      timeZone: timeFilter.timeZone,
+      category: requestType ?? 'all',
+      role,
+    })
+    : null;
+
+  const startedAt = process.hrtime.bigint();
   try {
     // Execute single query with all data and counts
-    const results = await this.db.sequelize.query(optimizedQuery, {
-      replacements,
-      type: this.db.Sequelize.QueryTypes.SELECT,
-    });
+    const [results, facetRows] = await Promise.all([
+      this.db.sequelize.query(optimizedQuery, {
+        replacements,
+        type: this.db.Sequelize.QueryTypes.SELECT,
+      }),
+      facetsQuery && this.db.sequelize.query(facetsQuery, {
+        replacements,
+        type: this.db.Sequelize.QueryTypes.SELECT,
+      }),
+    ]);
 
     // Process results efficiently
-    return this.processOptimizedResults(results, requestType, limit, page);
+    const response = grouped
+      ? this.processGroupedResults(results, categoryPages, limit, page)
+      : this.processOptimizedResults(results, categoryPages, limit, page);
+    response.meta.dataSource = docsSource.source;
+    response.meta.dataRefreshedAt = docsSource.refreshedAt ?? null;
+    response.meta.timeWindow = this.describeTimeWindow(timeFilter);
+    if (facetsQuery) {
+      response.meta.facets = this.processFacetResults(facetRows);
+    }
+    if (filterBy?.search) {
+      this.annotateDashboardSearchMatches(response, filterBy.search);
+    }
+
+    this.recordDashboardQuery({
+      path: 'optimized',
+      requestType,
+      startedAt,
+      rowCount: this.countDashboardRows(response),
+      dataSource: docsSource.source,
+    });
+    return response;
 
   } catch (error) {
+    const errorClass = this.classifyDashboardQueryError(error);
+    const fallingBack = allowFallback && this.getDashboardFallbackConfig().enabled;
+    this.recordDashboardQuery({ path: 'optimized', requestType, startedAt, error, errorClass, fallingBack });
+
+    // With the fallback switched off (e.g. in staging) the failure reaches the caller
+    if (!fallingBack) {
+      throw error;
+    }
+
     console.error('Optimized query failed, falling back to original:', error);
     // Fallback to original method if optimization fails
-    return this.getAllRequisitionsV2Original(payload);
+    return this.getAllRequisitionsV2OriginalWithMetrics(payload, { requestType, fallbackReason: errorClass });
   }
 }
 
-// Helper methods for optimization
-buildTimeFilter(timeRange, specificDate) {
-  if (specificDate) {
-    const date = new Date(specificDate);
-    return {
-      start: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
-      end: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
-    };
+async getAllRequisitionsV2OriginalWithMetrics(payload, { requestType, fallbackReason }) {
+  const startedAt = process.hrtime.bigint();
+  try {
+    const response = await this.getAllRequisitionsV2Original(payload);
+    this.recordDashboardQuery({
+      path: 'original',
+      requestType,
+      startedAt,
+      rowCount: this.countDashboardRows(response),
+      fallbackReason,
+    });
+    return response;
+  } catch (error) {
+    this.recordDashboardQuery({
+      path: 'original',
+      requestType,
+      startedAt,
+      error,
+      errorClass: this.classifyDashboardQueryError(error),
+      fallbackReason,
+    });
+    throw error;
   }
+}
 
-  const end = new Date();
-  const start = new Date();
+getDashboardCacheConfig() {
+  return {
+    enabled: process.env.DASHBOARD_CACHE_ENABLED === 'true',
+    ttlSeconds: parseInt(process.env.DASHBOARD_CACHE_TTL_SECONDS || '60'),
+    maxEntries: parseInt(process.env.DASHBOARD_CACHE_MAX_ENTRIES || '500'),
+  };
+}
 
-  switch (timeRange) {
-    case '1 week':
-      start.setDate(end.getDate() - 7);
-      break;
-    case '1 month':
-      start.setMonth(end.getMonth() - 1);
-      break;
-    case '3 months':
-      start.setMonth(end.getMonth() - 3);
-      break;
-    case '6 months':
-      start.setMonth(end.getMonth() - 6);
-      break;
-    case '1 year':
-      start.setFullYear(end.getFullYear() - 1);
-      break;
-    default:
-      start.setMonth(end.getMonth() - 6); // Default to 6 months
+// Shared by every repository instance in the process; swap in a Redis backend with
+// setDashboardCacheBackend(createRedisDashboardCacheBackend(redis)) to share across processes
+getDashboardCacheBackend() {
+  if (!this.constructor.dashboardCacheBackend) {
+    this.constructor.dashboardCacheBackend = this.createMemoryDashboardCacheBackend(this.getDashboardCacheConfig());
   }
+  return this.constructor.dashboardCacheBackend;
+}
 
-  return { start, end };
+setDashboardCacheBackend(backend) {
+  this.constructor.dashboardCacheBackend = backend;
 }
 
-buildOptimizedFilters(filterBy, replacements) {
-  const conditions = [];
+// Cache backends store strings and expose get / set / mget / incr.
+// Tag versions live apart from entries so evicting entries never resets a version.
+createMemoryDashboardCacheBackend({ maxEntries }) {
+  const entries = new Map();
+  const versions = new Map();
+  const read = (store, key) => {
+    const item = store.get(key);
+    if (!item) {
+      return null;
+    }
+    if (item.expiresAt <= Date.now()) {
+      store.delete(key);
+      return null;
+    }
+    return item.value;
+  };
 
-  if (filterBy?.ref_number) {
-    const normalizedSearchTerm = filterBy.ref_number.toLowerCase().replace(/[.\s]/g, '');
-    const typeMapping = this.getDocumentTypeMapping();
+  return {
+    get: async (key) => read(entries, key),
+    set: async (key, value, ttlSeconds) => {
+      // Map iteration order is insertion order, so the first key is the oldest entry
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    mget: async (keys) => keys.map(key => read(versions, key)),
+    incr: async (key, ttlSeconds) => {
+      const value = (parseInt(read(versions, key)) || 0) + 1;
+      // Re-inserting keeps versions in expiry order, so expired ones are swept from the front
+      versions.delete(key);
+      versions.set(key, { value: String(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+      for (const [versionKey, item] of versions) {
+        if (item.expiresAt > Date.now()) {
+          break;
+        }
+        versions.delete(versionKey);
+      }
+      return value;
+    },
+  };
+}
 
-    // Optimized search with proper indexing hints
-    const searchConditions = [
-      `ud.ref_number ILIKE :ref_number_gsv`,
-      `ud.doc_type ILIKE :ref_number_gsv`,
-      `c.name ILIKE :ref_number_gsv`,
-      `CONCAT(u.first_name, ' ', u.last_name) ILIKE :ref_number_gsv`,
-      `ud.status ILIKE :ref_number_gsv`
-    ];
+// Adapter for an ioredis-compatible client
+createRedisDashboardCacheBackend(redis, { prefix = 'prs:dashboard:' } = {}) {
+  return {
+    get: async (key) => redis.get(`${prefix}${key}`),
+    set: async (key, value, ttlSeconds) => redis.set(`${prefix}${key}`, value, 'EX', ttlSeconds),
+    mget: async (keys) => (keys.length > 0 ? redis.mget(keys.map(key => `${prefix}${key}`)) : []),
+    incr: async (key, ttlSeconds) => {
+      const [[, value]] = await redis.multi()
+        .incr(`${prefix}${key}`)
+        .expire(`${prefix}${key}`, ttlSeconds)
+        .exec();
+      return value;
+    },
+  };
+}
 
-    const mappedType = typeMapping[normalizedSearchTerm];
-    if (mappedType) {
-      searchConditions.push(`ud.doc_type = '${mappedType}'`);
+// Everything that changes the response, with object keys sorted so equal payloads share
+// an entry. Entries are per user: even the "all" tab of unscoped roles carries the
+// caller's my_request / my_approval totals.
+buildDashboardCacheKey(payload) {
+  const { userFromToken, requestType } = payload;
+
+  const normalized = {
+    userId: userFromToken.id,
+    role: userFromToken.role?.name ?? null,
+    requestType: requestType ?? null,
+    limit: parseInt(payload.limit ?? 10),
+    page: parseInt(payload.page ?? 1),
+    order: payload.order ?? null,
+    filterBy: payload.filterBy ?? null,
+    timeRange: payload.timeRange ?? null,
+    timeZone: payload.timeZone ?? null,
+    pagination: payload.pagination ?? null,
+    cursor: payload.cursor ?? null,
+    maxStalenessSeconds: payload.maxStalenessSeconds ?? null,
+    grouped: Boolean(payload.grouped),
+    facets: Boolean(payload.facets),
+  };
+
+  const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+      return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
     }
+    return JSON.stringify(value);
+  };
 
-    conditions.push(`(${searchConditions.join(' OR ')})`);
-    replacements.ref_number_gsv = `%${filterBy.ref_number}%`;
-  }
+  return require('crypto').createHash('sha256').update(stableStringify(normalized)).digest('hex');
+}
 
-  if (filterBy?.type) {
-    const normalizedType = filterBy.type.toLowerCase().replace(/[.\s]/g, '');
-    const typeMapping = this.getDocumentTypeMapping();
-    const mappedType = typeMapping[normalizedType];
+// Any write can add, drop or reorder rows on a page and change its totals, so entries are
+// tagged by company only: a write clears every entry except those filtered to other
+// companies. Entries read from unified_docs_view also go when the view is refreshed.
+getDashboardCacheTags(payload) {
+  const companies = payload.filterBy?.companies;
+  return Array.isArray(companies) && companies.length > 0
+    ? companies.map(companyId => `company:${companyId}`)
+    : ['company:*'];
+}
 
-    if (mappedType) {
-      conditions.push(`ud.doc_type = :type`);
-      replacements.type = mappedType;
-    } else {
-      conditions.push(`ud.doc_type ILIKE :type`);
-      replacements.type = filterBy.type;
+async getCachedDashboard(payload, { allowShadowCompare = true, allowFallback = true } = {}) {
+  const backend = this.getDashboardCacheBackend();
+  const { ttlSeconds } = this.getDashboardCacheConfig();
+  const entryKey = `entry:${this.buildDashboardCacheKey(payload)}`;
+  const readTagVersions = async (tags) => {
+    const versions = await backend.mget(tags.map(tag => `tag:${tag}`));
+    return Object.fromEntries(tags.map((tag, index) => [tag, parseInt(versions[index]) || 0]));
+  };
+
+  try {
+    const cached = await backend.get(entryKey);
+    if (cached) {
+      const entry = JSON.parse(cached);
+      const current = await readTagVersions(Object.keys(entry.tags));
+      if (Object.entries(entry.tags).every(([tag, version]) => current[tag] === version)) {
+        entry.response.meta.cacheStatus = 'hit';
+        return entry.response;
+      }
     }
+  } catch (error) {
+    console.error('Dashboard cache read failed, querying directly:', error);
   }
 
-  if (filterBy?.company) {
-    conditions.push(`c.name ILIKE :company`);
-    replacements.company = `%${filterBy.company}%`;
+  // Versions are read before querying so a write or refresh that lands mid-query still
+  // invalidates the entry stored below
+  const viewTag = 'source:unified_docs_view';
+  let tagVersions = null;
+  try {
+    tagVersions = await readTagVersions([...this.getDashboardCacheTags(payload), viewTag]);
+  } catch (error) {
+    console.error('Dashboard cache read failed, querying directly:', error);
   }
 
-  if (filterBy?.project_department) {
-    conditions.push(`(d.name ILIKE :project_department_search OR p.name ILIKE :project_department_search)`);
-    replacements.project_department_search = `%${filterBy.project_department.trim()}%`;
-  }
+  const response = await this.getAllRequisitionsV2Optimized(payload, { allowCache: false, allowShadowCompare, allowFallback });
 
-  if (filterBy?.requestor) {
-    conditions.push(`CONCAT(u.first_name, ' ', u.last_name) ILIKE :requestor`);
-    replacements.requestor = `%${filterBy.requestor}%`;
-  }
+  // Only optimized responses set meta.dataSource; fallback results are not cached
+  if (tagVersions && response?.meta?.dataSource) {
+    let entryTtlSeconds = ttlSeconds;
+    if (response.meta.dataSource === 'unified_docs_view') {
+      // Expire no later than the view data falls outside the request's staleness budget
+      const stalenessBudget = payload.maxStalenessSeconds ?? this.getUnifiedDocsViewConfig().maxStalenessSeconds;
+      const dataAgeSeconds = (Date.now() - new Date(response.meta.dataRefreshedAt).getTime()) / 1000;
+      entryTtlSeconds = Math.min(ttlSeconds, Math.floor(stalenessBudget - dataAgeSeconds));
+    } else {
+      delete tagVersions[viewTag];
+    }
 
-  if (filterBy?.status) {
-    conditions.push(`ud.status ILIKE :status`);
-    replacements.status = `%${filterBy.status}%`;
+    if (entryTtlSeconds > 0) {
+      try {
+        await backend.set(entryKey, JSON.stringify({ tags: tagVersions, response }), entryTtlSeconds);
+      } catch (error) {
+        console.error('Dashboard cache write failed:', error);
+      }
+    }
+    response.meta.cacheStatus = 'miss';
   }
 
-  if (filterBy?.statuses && Array.isArray(filterBy.statuses) && filterBy.statuses.length > 0) {
-    conditions.push(`ud.status IN (:statuses)`);
-    replacements.statuses = filterBy.statuses;
-  }
+  return response;
+}
 
-  if (filterBy?.companies && Array.isArray(filterBy.companies) && filterBy.companies.length > 0) {
-    conditions.push(`ud.company_id IN (:companies)`);
-    replacements.companies = filterBy.companies;
+// Called for each changed document and view refresh (directly or from the
+// dashboard_docs_changed channel)
+async invalidateDashboardCache({ companyId, viewRefreshed = false } = {}) {
+  const backend = this.getDashboardCacheBackend();
+  const { ttlSeconds } = this.getDashboardCacheConfig();
+  const tags = viewRefreshed ? ['source:unified_docs_view'] : ['company:*'];
+  if (companyId) {
+    tags.push(`company:${companyId}`);
   }
 
-  return conditions;
+  // A version only has to outlive the entries that could have read the old one
+  await Promise.all(tags.map(tag => backend.incr(`tag:${tag}`, ttlSeconds)));
 }
 
-buildOptimizedOrderClause(order) {
-  if (!order || Object.keys(order).length === 0) {
-    return `
-      ORDER BY
-        CASE WHEN ud.root_status = 'closed' THEN 2 ELSE 1 END ASC,
-        ud.updated_at DESC,
-        ud.grouping_id ASC,
-        ud.id ASC
-    `;
+// Keeps the cache in step with the triggers in dashboard-cache-invalidation.sql.
+// Returns a function that stops listening.
+async startDashboardCacheInvalidationListener() {
+  return this.subscribeDashboardChanges(change => {
+    this.invalidateDashboardCache({ companyId: change.company_id, viewRefreshed: change.event === 'view_refreshed' })
+      .catch(error => console.error('Dashboard cache invalidation failed:', error));
+  });
+}
+
+// One pooled connection per process LISTENs on dashboard_docs_changed and fans each
+// change out to the cache and the live event streams. The connection is released when
+// the last handler unsubscribes, and replaced when it errors or ends while in use;
+// changes committed while it is down are missed, so cache entries then age out by TTL.
+async subscribeDashboardChanges(handler, { reconnectDelayMs = 5000 } = {}) {
+  const { connectionManager } = this.db.sequelize;
+  if (!this.constructor.dashboardChangeFeed) {
+    this.constructor.dashboardChangeFeed = { handlers: new Set(), connection: null, ready: null };
   }
+  const feed = this.constructor.dashboardChangeFeed;
 
-  const [field, direction] = Object.entries(order)[0];
-  const sortDirection = direction?.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+  const release = async (connection, { unlisten = true } = {}) => {
+    try {
+      if (unlisten) {
+        await connection.query('UNLISTEN dashboard_docs_changed');
+      }
+    } finally {
+      connectionManager.releaseConnection(connection);
+    }
+  };
 
-  const docTypeOrder = `CASE ud.doc_type
-    WHEN 'requisition' THEN 1
-    WHEN 'canvass' THEN 2
-    WHEN 'purchase_order' THEN 3
-    WHEN 'invoice' THEN 4
-    WHEN 'delivery_receipt' THEN 5
-    WHEN 'payment_request' THEN 6
-    WHEN 'non_requisition' THEN 7
-    ELSE 99 END`;
+  const connect = async () => {
+    const connection = await connectionManager.getConnection();
+    const onLost = (error) => {
+      // Connections released by the last unsubscribe are no longer the feed's
+      if (feed.connection !== connection) {
+        return;
+      }
+      console.error('Dashboard change feed connection lost, reconnecting:', error?.message ?? 'connection ended');
+      feed.connection = null;
+      feed.ready = null;
+      release(connection, { unlisten: false })
+        .catch(releaseError => console.error('Failed to release dashboard change feed connection:', releaseError));
+      setTimeout(reconnect, reconnectDelayMs).unref?.();
+    };
+    connection.on('error', onLost);
+    connection.on('end', () => onLost());
+    connection.on('notification', ({ channel, payload }) => {
+      if (channel !== 'dashboard_docs_changed') {
+        return;
+      }
+      let change;
+      try {
+        change = JSON.parse(payload);
+      } catch (error) {
+        console.error('Ignoring malformed dashboard change payload:', payload);
+        return;
+      }
+      feed.handlers.forEach(changeHandler => {
+        try {
+          changeHandler(change);
+        } catch (error) {
+          console.error('Dashboard change handler failed:', error);
+        }
+      });
+    });
+    try {
+      await connection.query('LISTEN dashboard_docs_changed');
+    } catch (error) {
+      await release(connection, { unlisten: false });
+      throw error;
+    }
 
-  switch (field) {
-    case 'ref_number':
-      return `ORDER BY ud.ref_number ${sortDirection}, ud.id ASC`;
-    case 'doc_type':
-      return `ORDER BY ${docTypeOrder} ${sortDirection}, ud.id ASC`;
-    case 'requestor':
-      return `ORDER BY ${docTypeOrder} ASC, CONCAT(u.first_name, ' ', u.last_name) ${sortDirection}, ud.id ASC`;
-    case 'company':
-      return `ORDER BY ${docTypeOrder} ASC, c.name ${sortDirection}, ud.id ASC`;
-    case 'updated_at':
-    case 'updatedAt':
-      return `ORDER BY ${docTypeOrder} ASC, ud.updated_at ${sortDirection}, ud.id ASC`;
-    case 'status':
-      return `ORDER BY ${docTypeOrder} ASC, ud.status ${sortDirection}, ud.id ASC`;
-    default:
-      return `ORDER BY ${docTypeOrder} ASC, ud.updated_at DESC, ud.id ASC`;
+    // Everyone unsubscribed while this connection was being set up
+    if (feed.handlers.size === 0) {
+      feed.ready = null;
+      await release(connection);
+      return;
+    }
+    feed.connection = connection;
+  };
+
+  // Keeps retrying while anyone is subscribed; subscribers stay registered meanwhile
+  const reconnect = () => {
+    if (feed.handlers.size === 0 || feed.ready) {
+      return;
+    }
+    feed.ready = connect().catch(error => {
+      console.error('Dashboard change feed reconnect failed:', error);
+      feed.ready = null;
+      setTimeout(reconnect, reconnectDelayMs).unref?.();
+    });
+  };
+
+  feed.handlers.add(handler);
+  if (!feed.ready) {
+    feed.ready = connect();
+  }
+
+  try {
+    await feed.ready;
+  } catch (error) {
+    feed.handlers.delete(handler);
+    feed.ready = null;
+    throw error;
   }
+
+  // A connection still being set up is released by connect() itself
+  return async () => {
+    feed.handlers.delete(handler);
+    if (feed.handlers.size > 0 || !feed.connection) {
+      return;
+    }
+
+    const { connection } = feed;
+    feed.connection = null;
+    feed.ready = null;
+    await release(connection);
+  };
 }
 
-buildSingleOptimizedQuery(unifiedDocsCTE, baseFilterClause, orderClause, requestType, role) {
-  const baseQuery = `
-    ${unifiedDocsCTE}
-    SELECT
-      -- Data columns
-      ud.id, ud.doc_type, ud.ref_number, ud.requestor_id,
-      CONCAT(u.first_name, ' ', u.last_name) AS requestor_name,
-      ud.company_id, c.name AS company_name,
-      ud.project_id, p.name AS project_name,
-      ud.department_id, d.name AS department_name,
-      ud.updated_at, ud.status, ud.approvers, ud.grouping_id,
-      ud.root_status, ud.assigned_to_user_id,
-      CONCAT(assignee_u.first_name, ' ', assignee_u.last_name) AS assigned_to_user_name,
-
-      -- Count columns for pagination
-      COUNT(*) OVER() AS total_count,
-      COUNT(*) FILTER (WHERE ud.requestor_id = :userId AND ud.doc_type IN ('requisition', 'non_requisition')) OVER() AS my_requests_total,
-      COUNT(*) FILTER (WHERE ${this.buildApprovalCondition(role)}) OVER() AS my_approvals_total,
-
-      -- Request type indicator
-      CASE
-        WHEN ud.requestor_id = :userId AND ud.doc_type IN ('requisition', 'non_requisition') THEN 'my_request'
-        WHEN ${this.buildApprovalCondition(role)} THEN 'my_approval'
-        ELSE 'all'
-      END AS request_category
-
-    FROM unified_docs ud
-    LEFT JOIN users u ON ud.requestor_id = u.id
-    LEFT JOIN companies c ON ud.company_id = c.id
-    LEFT JOIN projects p ON ud.project_id = p.id
-    LEFT JOIN departments d ON ud.department_id = d.id
-    LEFT JOIN users assignee_u ON ud.assigned_to_user_id = assignee_u.id
-    WHERE 1=1 ${baseFilterClause}
-  `;
+// Row triggers on every document and approver table in the registry. Each change
+// notifies the affected document, its grouping_id and company (old and new row alike)
+// and what kind of change it was.
+buildDashboardCacheInvalidationDDL() {
+  const changed = column => `to_jsonb(NEW)->'${column}' IS DISTINCT FROM to_jsonb(OLD)->'${column}'`;
+  const sources = [];
 
-  // Add request type filtering
-  let requestTypeFilter = '';
-  if (requestType === 'my_request') {
-    requestTypeFilter = ` AND ud.requestor_id = :userId AND ud.doc_type IN ('requisition', 'non_requisition')`;
-  } else if (requestType === 'my_approval') {
-    requestTypeFilter = ` AND (${this.buildApprovalCondition(role)})`;
-  }
+  this.getUnifiedDocTypeRegistry().forEach(definition => {
+    const { docType, table, alias, requisitionColumn, approverTable } = definition;
+    const rootAlias = requisitionColumn ? 'r' : alias;
+    const requisitionJoin = requisitionColumn
+      ? `\n    LEFT JOIN requisitions r ON ${alias}.${requisitionColumn} = r.id`
+      : '';
+    // Users whose my_request / my_approval tabs the change can touch, so live streams of
+    // everyone else skip it without querying
+    const approverUsers = approverTable
+      ? ` || ARRAY(
+      SELECT ${approverTable.userColumn} FROM ${approverTable.table} WHERE ${approverTable.docColumn} = ${alias}.id
+      UNION SELECT alt_approver_id FROM ${approverTable.table} WHERE ${approverTable.docColumn} = ${alias}.id
+    )`
+      : '';
+    const columns = `'${docType}' AS doc_type, ${alias}.id AS doc_id, ${definition.groupingId} AS grouping_id, ${rootAlias}.company_id,
+    ARRAY_REMOVE(ARRAY[${rootAlias}.created_by, ${definition.assignedTo}]${approverUsers}, NULL) AS user_ids`;
+    // Columns of this table itself; an assignee inherited from the root changes on the root
+    const ownColumn = expression => (expression?.startsWith(`${alias}.`) ? expression.slice(alias.length + 1) : null);
+    const assigneeColumn = ownColumn(definition.assignedTo);
+    const responsibleColumn = ownColumn(definition.responsibleUser);
+
+    sources.push({
+      table,
+      events: [
+        [`TG_OP = 'INSERT'`, 'created'],
+        [`TG_OP = 'DELETE'`, 'deleted'],
+        [changed('status'), 'status_changed'],
+        ...(assigneeColumn ? [[changed(assigneeColumn), 'assignee_changed']] : []),
+        ...(responsibleColumn ? [[changed(responsibleColumn), 'responsible_changed']] : []),
+      ],
+      select: `SELECT ${columns}
+    FROM jsonb_populate_recordset(NULL::${table}, changed_rows) ${alias}${requisitionJoin}`,
+    });
+
+    if (approverTable) {
+      sources.push({
+        table: approverTable.table,
+        events: [
+          [`TG_OP = 'INSERT'`, 'approver_added'],
+          [`TG_OP = 'DELETE'`, 'approver_removed'],
+          [`${changed(approverTable.userColumn)} OR ${changed('alt_approver_id')}`, 'approver_changed'],
+          [changed(approverTable.statusColumn), 'approval_status_changed'],
+        ],
+        select: `SELECT ${columns}
+    FROM jsonb_populate_recordset(NULL::${approverTable.table}, changed_rows) approver
+    INNER JOIN ${table} ${alias} ON approver.${approverTable.docColumn} = ${alias}.id${requisitionJoin}`,
+      });
+    }
+  });
 
-  return `${baseQuery}${requestTypeFilter} ${orderClause} LIMIT :limit OFFSET :offset`;
+  return sources.map(({ table, events, select }) => `CREATE OR REPLACE FUNCTION notify_dashboard_change_${table}() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  changed_rows JSONB := CASE TG_OP
+    WHEN 'INSERT' THEN jsonb_build_array(to_jsonb(NEW))
+    WHEN 'DELETE' THEN jsonb_build_array(to_jsonb(OLD))
+    ELSE jsonb_build_array(to_jsonb(NEW), to_jsonb(OLD))
+  END;
+  change_event TEXT := CASE
+${events.map(([condition, event]) => `    WHEN ${condition} THEN '${event}'`).join('\n')}
+    ELSE 'updated'
+  END;
+BEGIN
+  -- pg_notify drops duplicate payloads within a transaction
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object(
+    'event', change_event,
+    'doc_type', changed.doc_type,
+    'doc_id', changed.doc_id,
+    'grouping_id', changed.grouping_id,
+    'company_id', changed.company_id,
+    'user_ids', changed.user_ids
+  )::text)
+  FROM (
+    ${select}
+  ) changed
+  WHERE changed.grouping_id IS NOT NULL;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dashboard_change ON ${table};
+CREATE TRIGGER trg_dashboard_change
+AFTER INSERT OR UPDATE OR DELETE ON ${table}
+FOR EACH ROW EXECUTE FUNCTION notify_dashboard_change_${table}();`).join('\n\n');
 }
 
-buildApprovalCondition(role) {
-  if (['Purchasing Staff', 'Purchasing Head', 'Purchasing Admin'].includes(role.name)) {
-    return `
-      (ud.doc_type = 'requisition' AND ud.status = 'assigning' AND ud.status != 'rs_draft') OR
-      (ud.assigned_to_user_id = :userId) OR
-      (ud.doc_type = 'requisition' AND ud.approvers::text LIKE '%' || :userId || '%') OR
-      (ud.doc_type = 'canvass' AND ud.approvers::text LIKE '%' || :userId || '%') OR
-      (ud.doc_type = 'purchase_order' AND ud.approvers::text LIKE '%' || :userId || '%') OR
-      (ud.doc_type = 'payment_request' AND ud.approvers::text LIKE '%' || :userId || '%') OR
-      (ud.doc_type = 'non_requisition' AND ud.approvers::text LIKE '%' || :userId || '%')
-    `;
-  } else {
-    return `
-      (ud.doc_type = 'requisition' AND ud.status != 'rs_draft' AND ud.approvers::text LIKE '%' || :userId || '%') OR
-      (ud.doc_type = 'canvass' AND ud.approvers::text LIKE '%' || :userId || '%') OR
-      (ud.doc_type = 'purchase_order' AND ud.approvers::text LIKE '%' || :userId || '%') OR
-      (ud.doc_type = 'payment_request' AND ud.status != 'PR Draft' AND ud.approvers::text LIKE '%' || :userId || '%') OR
-      (ud.doc_type = 'non_requisition' AND ud.approvers::text LIKE '%' || :userId || '%')
-    `;
-  }
+// Changes pushed to live subscribers. Deletes and other edits only invalidate the cache.
+getDashboardLiveEventTypes() {
+  return [
+    'created',
+    'status_changed',
+    'assignee_changed',
+    'approver_added',
+    'approver_changed',
+    'approval_status_changed',
+  ];
 }
 
-processOptimizedResults(results, requestType, limit, page) {
-  if (!results || results.length === 0) {
-    return {
-      my_request: [],
-      my_approval: [],
-      all: [],
-      meta: {
-        message: 'Successfully retrieved dashboard data',
-        page: parseInt(page),
-        limit: parseInt(limit),
-        myRequestsTotal: 0,
-        myRequestsTotalPages: 0,
-        myApprovalsTotal: 0,
-        myApprovalsTotalPages: 0,
-        allTotal: 0,
-        allTotalPages: 0,
-      },
-    };
+// Server-sent events for the my_request and my_approval tabs. Each pushed event is one
+// row, in the same shape as the dashboard rows, that now belongs in one of the user's
+// tabs. Resolves once subscribed with a function that ends the stream; the stream also
+// ends when the client disconnects.
+async streamDashboardEvents(payload, output, { heartbeatSeconds = 25 } = {}) {
+  const { userFromToken, requestType } = payload;
+  const liveCategories = ['my_request', 'my_approval'];
+  if (requestType !== undefined && !liveCategories.includes(requestType)) {
+    throw this.createBadRequestError(`Unsupported live requestType "${requestType}"; expected my_request or my_approval`);
   }
 
-  const docTypeOutputMap = {
-    requisition: 'R.S.',
-    canvass: 'Canvass',
-    purchase_order: 'Order',
-    delivery_receipt: 'Delivery',
-    invoice: 'Invoice',
-    payment_request: 'Voucher',
-    non_requisition: 'Non-R.S.',
-  };
+  const categories = requestType ? [requestType] : liveCategories;
+  const liveEventTypes = this.getDashboardLiveEventTypes();
+  const send = (event, data) => output.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Only changes naming this user (as requestor, assignee or approver) can reach their
+  // tabs, apart from requisitions waiting for Purchasing; the rest are skipped unqueried
+  const mayConcernUser = change => !Array.isArray(change.user_ids)
+    || change.user_ids.includes(userFromToken.id)
+    || (this.isPurchasingRole(userFromToken.role) && change.doc_type === 'requisition');
+
+  // Changes are handled one at a time so a user sees them in commit order
+  let closed = false;
+  let pending = Promise.resolve();
+  const unsubscribe = await this.subscribeDashboardChanges(change => {
+    if (!liveEventTypes.includes(change.event) || !mayConcernUser(change)) {
+      return;
+    }
+    pending = pending
+      .then(() => (closed ? {} : this.getDashboardLiveRows(change, userFromToken, categories)))
+      .then(rows => Object.entries(rows).forEach(([category, categoryRows]) => {
+        categoryRows.forEach(row => {
+          if (!closed) {
+            send('dashboard_change', { event: change.event, requestType: category, row });
+          }
+        });
+      }))
+      .catch(error => console.error('Dashboard live event failed:', error));
+  });
 
-  // Extract totals from first row
-  const firstRow = results[0];
-  const totalCounts = {
-    myRequestsTotal: parseInt(firstRow.my_requests_total || 0),
-    myApprovalsTotal: parseInt(firstRow.my_approvals_total || 0),
-    allTotal: parseInt(firstRow.total_count || 0),
+  const heartbeat = setInterval(() => output.write(': heartbeat\n\n'), heartbeatSeconds * 1000);
+  const close = async () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    await unsubscribe();
+    output.end();
   };
+  output.on('close', () => {
+    close().catch(error => console.error('Dashboard live stream close failed:', error));
+  });
 
-  // Group results by request category
-  const groupedResults = {
-    my_request: [],
-    my_approval: [],
-    all: [],
+  send('ready', { requestTypes: categories });
+  return close;
+}
+
+// Reads the changed document straight from the document tables (the view may be stale)
+// and runs it through the tab conditions for this user. An assignee change affects
+// every document of the requisition, so the whole chain is checked.
+async getDashboardLiveRows(change, userFromToken, categories) {
+  const { id: userId, role } = userFromToken;
+  const replacements = {
+    userId,
+    groupingId: change.grouping_id,
+    docType: change.doc_type,
+    docId: change.doc_id,
   };
 
-  results.forEach(item => {
-    const mappedItem = {
-      ...item,
-      doc_type: docTypeOutputMap[item.doc_type] || item.doc_type,
-    };
+  const changedDocsFilter = change.event === 'assignee_changed'
+    ? ''
+    : 'WHERE doc_type = :docType AND id = :docId';
+  const changedDocsCTE = `
+    WITH page_groups AS (
+      SELECT CAST(:groupingId AS TEXT) AS grouping_id
+    ),
+    ${this.buildChainDocsCTE('live')},
+    unified_docs AS (
+      SELECT * FROM chain_docs
+      ${changedDocsFilter}
+    )
+  `;
 
-    // Remove count columns from individual items
-    delete mappedItem.total_count;
-    delete mappedItem.my_requests_total;
-    delete mappedItem.my_approvals_total;
-    delete mappedItem.request_category;
+  // A chain is small, so one page per tab always holds every matching document
+  const limit = 100;
+  const categoryPages = this.buildCategoryPagination(undefined, { page: 1, limit });
+  Object.keys(categoryPages)
+    .filter(category => !categories.includes(category))
+    .forEach(category => delete categoryPages[category]);
+  categories.forEach(category => {
+    replacements[`${category}_limit`] = limit + 1;
+    replacements[`${category}_offset`] = 0;
+  });
 
-    if (requestType === 'my_request' || requestType === undefined) {
-      if (item.request_category === 'my_request') {
-        groupedResults.my_request.push(mappedItem);
-      }
+  const results = await this.db.sequelize.query(
+    this.buildSingleOptimizedQuery(changedDocsCTE, '', categoryPages, role, { includeTotals: false }),
+    {
+      replacements,
+      type: this.db.Sequelize.QueryTypes.SELECT,
     }
+  );
 
-    if (requestType === 'my_approval' || requestType === undefined) {
-      if (item.request_category === 'my_approval') {
-        groupedResults.my_approval.push(mappedItem);
-      }
+  const response = this.processOptimizedResults(results, categoryPages, limit, 1);
+  return Object.fromEntries(categories.map(category => [category, response[category]]));
+}
+
+getDashboardShadowConfig() {
+  return {
+    sampleRate: parseFloat(process.env.DASHBOARD_SHADOW_SAMPLE_RATE || '0'),
+    serve: process.env.DASHBOARD_SHADOW_SERVE === 'original' ? 'original' : 'optimized',
+    cutoverMatchRate: parseFloat(process.env.DASHBOARD_SHADOW_CUTOVER_MATCH_RATE || '0.99'),
+  };
+}
+
+shouldShadowCompareDashboard() {
+  const { sampleRate } = this.getDashboardShadowConfig();
+  return sampleRate > 0 && Math.random() < sampleRate;
+}
+
+// Runs the optimized and original implementations side by side, serves the configured
+// one and stores the differences in dashboard_shadow_comparisons. The optimized run
+// does not fall back, so its own failures are recorded rather than masked.
+async shadowCompareDashboard(payload) {
+  const { serve } = this.getDashboardShadowConfig();
+  const timed = async (run) => {
+    const startedAt = process.hrtime.bigint();
+    try {
+      const response = await run();
+      return { response, durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6 };
+    } catch (error) {
+      return { error, durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6 };
     }
+  };
+
+  const [optimized, original] = await Promise.all([
+    timed(() => this.getAllRequisitionsV2Optimized(payload, { allowCache: false, allowShadowCompare: false, allowFallback: false })),
+    timed(() => this.getAllRequisitionsV2Original(payload)),
+  ]);
+
+  // Bad requests are the caller's problem, not a difference between implementations
+  if (optimized.error?.status === 400) {
+    throw optimized.error;
+  }
+
+  // Stored in the background so the sample never adds latency to the served response
+  this.recordDashboardShadowComparison(payload, optimized, original, serve)
+    .catch(error => console.error('Failed to record dashboard shadow comparison:', error));
 
-    if (requestType === 'all' || requestType === undefined) {
-      groupedResults.all.push(mappedItem);
+  const served = serve === 'original' ? original : optimized;
+  const other = serve === 'original' ? optimized : original;
+  if (served.error) {
+    if (other.error) {
+      throw served.error;
     }
-  });
+    console.error(`Shadow compare: ${serve} implementation failed, serving the other one:`, served.error);
+    return other.response;
+  }
+  return served.response;
+}
 
-  return {
-    my_request: requestType === 'my_request' || requestType === undefined ? groupedResults.my_request : [],
-    my_approval: requestType === 'my_approval' || requestType === undefined ? groupedResults.my_approval : [],
-    all: requestType === 'all' || requestType === undefined ? groupedResults.all : [],
-    meta: {
-      message: 'Successfully retrieved dashboard data',
-      page: parseInt(page),
-      limit: parseInt(limit),
-      myRequestsTotal: totalCounts.myRequestsTotal,
-      myRequestsTotalPages: Math.ceil(totalCounts.myRequestsTotal / limit),
-      myApprovalsTotal: totalCounts.myApprovalsTotal,
-      myApprovalsTotalPages: Math.ceil(totalCounts.myApprovalsTotal / limit),
-      allTotal: totalCounts.allTotal,
-      allTotalPages: Math.ceil(totalCounts.allTotal / limit),
-    },
+async recordDashboardShadowComparison(payload, optimized, original, servedPath) {
+  const diff = optimized.error || original.error
+    ? null
+    : this.diffDashboardResponses(optimized.response, original.response);
+  const tabDiffs = Object.values(diff?.tabs || {});
+
+  const comparison = {
+    userId: payload.userFromToken?.id ?? null,
+    requestType: payload.requestType ?? 'all_tabs',
+    servedPath,
+    matched: diff ? diff.matched : false,
+    missingCount: tabDiffs.reduce((count, tab) => count + tab.missing.length, 0),
+    extraCount: tabDiffs.reduce((count, tab) => count + tab.extra.length, 0),
+    orderMismatch: tabDiffs.some(tab => tab.order !== null),
+    totalsMismatch: Object.keys(diff?.totals || {}).length > 0,
+    fieldDiffCount: tabDiffs.reduce((count, tab) => count + tab.fields.length, 0),
+    optimizedMs: Math.round(optimized.durationMs),
+    originalMs: Math.round(original.durationMs),
+    optimizedError: optimized.error?.message ?? null,
+    originalError: original.error?.message ?? null,
+  };
+
+  console.info(JSON.stringify({ event: 'dashboard_shadow_compare', ...comparison }));
+
+  try {
+    await this.db.sequelize.query(`
+      INSERT INTO dashboard_shadow_comparisons (
+        user_id, request_type, served_path, matched, missing_count, extra_count,
+        order_mismatch, totals_mismatch, field_diff_count, optimized_ms, original_ms,
+        optimized_error, original_error, time_window, diff
+      ) VALUES (
+        :userId, :requestType, :servedPath, :matched, :missingCount, :extraCount,
+        :orderMismatch, :totalsMismatch, :fieldDiffCount, :optimizedMs, :originalMs,
+        :optimizedError, :originalError, CAST(:timeWindow AS JSONB), CAST(:diff AS JSONB)
+      )
+    `, {
+      replacements: {
+        ...comparison,
+        timeWindow: JSON.stringify(optimized.response?.meta?.timeWindow ?? null),
+        diff: JSON.stringify(diff),
+      },
+      type: this.db.Sequelize.QueryTypes.INSERT,
+    });
+  } catch (error) {
+    // Losing a sample must never affect the served response
+    console.error('Failed to store dashboard shadow comparison:', error);
+  }
+}
+
+// Fields compared on rows present in both responses
+getDashboardShadowCompareFields() {
+  return [
+    'ref_number', 'status', 'root_status', 'grouping_id', 'requestor_id', 'company_id',
+    'project_id', 'department_id', 'assigned_to_user_id', 'updated_at',
+  ];
+}
+
+diffDashboardResponses(optimized, original, { maxExamples = 20 } = {}) {
+  const rowKey = row => `${row.doc_type}:${row.id}`;
+  const normalize = value => (value instanceof Date ? value.toISOString() : value ?? null);
+  const compareFields = this.getDashboardShadowCompareFields();
+
+  const tabs = {};
+  Object.keys(this.getDashboardTotalColumns())
+    .filter(category => Array.isArray(optimized?.[category]) || Array.isArray(original?.[category]))
+    .forEach(category => {
+      const optimizedRows = optimized?.[category] || [];
+      const originalRows = original?.[category] || [];
+      const optimizedByKey = new Map(optimizedRows.map(row => [rowKey(row), row]));
+      const originalByKey = new Map(originalRows.map(row => [rowKey(row), row]));
+
+      const missing = [...originalByKey.keys()].filter(key => !optimizedByKey.has(key));
+      const extra = [...optimizedByKey.keys()].filter(key => !originalByKey.has(key));
+
+      // Order is judged on the rows both returned, so missing rows are not counted twice
+      const optimizedOrder = [...optimizedByKey.keys()].filter(key => originalByKey.has(key));
+      const originalOrder = [...originalByKey.keys()].filter(key => optimizedByKey.has(key));
+      const firstOrderDifference = optimizedOrder.findIndex((key, index) => key !== originalOrder[index]);
+
+      const fields = [];
+      optimizedOrder.forEach(key => {
+        compareFields.forEach(field => {
+          const optimizedValue = normalize(optimizedByKey.get(key)[field]);
+          const originalValue = normalize(originalByKey.get(key)[field]);
+          if (String(optimizedValue) !== String(originalValue)) {
+            fields.push({ key, field, optimized: optimizedValue, original: originalValue });
+          }
+        });
+      });
+
+      tabs[category] = {
+        missing: missing.slice(0, maxExamples),
+        extra: extra.slice(0, maxExamples),
+        order: firstOrderDifference === -1
+          ? null
+          : {
+            position: firstOrderDifference,
+            optimized: optimizedOrder[firstOrderDifference],
+            original: originalOrder[firstOrderDifference],
+          },
+        fields: fields.slice(0, maxExamples),
+        missingTotal: missing.length,
+        extraTotal: extra.length,
+      };
+    });
+
+  const totals = {};
+  ['myRequestsTotal', 'myApprovalsTotal', 'allTotal'].forEach(field => {
+    const optimizedTotal = parseInt(optimized?.meta?.[field] ?? 0);
+    const originalTotal = parseInt(original?.meta?.[field] ?? 0);
+    if (optimizedTotal !== originalTotal) {
+      totals[field] = { optimized: optimizedTotal, original: originalTotal };
+    }
+  });
+
+  const matched = Object.keys(totals).length === 0 && Object.values(tabs).every(tab =>
+    tab.missingTotal === 0 && tab.extraTotal === 0 && tab.order === null && tab.fields.length === 0
+  );
+
+  return { matched, tabs, totals };
+}
+
+// Summary of stored shadow comparisons for the cutover decision
+async getDashboardShadowReport({ since } = {}) {
+  const sinceDate = since ? new Date(since) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(sinceDate.getTime())) {
+    throw this.createBadRequestError(`Invalid report start "${since}"`);
+  }
+
+  const [byRequestType, fieldDifferences] = await Promise.all([
+    this.db.sequelize.query(`
+      SELECT
+        COALESCE(request_type, 'total') AS request_type,
+        COUNT(*) AS comparisons,
+        COUNT(*) FILTER (WHERE matched) AS matched,
+        COUNT(*) FILTER (WHERE missing_count > 0) AS with_missing_ids,
+        COUNT(*) FILTER (WHERE extra_count > 0) AS with_extra_ids,
+        COUNT(*) FILTER (WHERE order_mismatch) AS with_order_differences,
+        COUNT(*) FILTER (WHERE totals_mismatch) AS with_total_mismatches,
+        COUNT(*) FILTER (WHERE field_diff_count > 0) AS with_field_differences,
+        COUNT(*) FILTER (WHERE optimized_error IS NOT NULL) AS optimized_errors,
+        COUNT(*) FILTER (WHERE original_error IS NOT NULL) AS original_errors,
+        PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY optimized_ms) AS optimized_p95_ms,
+        PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY original_ms) AS original_p95_ms
+      FROM dashboard_shadow_comparisons
+      WHERE compared_at >= :since
+      GROUP BY ROLLUP (request_type)
+      ORDER BY request_type NULLS LAST
+    `, { replacements: { since: sinceDate }, type: this.db.Sequelize.QueryTypes.SELECT }),
+    this.db.sequelize.query(`
+      SELECT field_diff->>'field' AS field, COUNT(*) AS occurrences
+      FROM dashboard_shadow_comparisons
+      CROSS JOIN LATERAL JSONB_EACH(COALESCE(diff->'tabs', '{}'::jsonb)) tab
+      CROSS JOIN LATERAL JSONB_ARRAY_ELEMENTS(tab.value->'fields') field_diff
+      WHERE compared_at >= :since
+      GROUP BY field_diff->>'field'
+      ORDER BY occurrences DESC
+    `, { replacements: { since: sinceDate }, type: this.db.Sequelize.QueryTypes.SELECT }),
+  ]);
+
+  const toSummary = row => {
+    const comparisons = parseInt(row.comparisons);
+    return {
+      requestType: row.request_type,
+      comparisons,
+      matchRate: comparisons > 0 ? parseInt(row.matched) / comparisons : null,
+      withMissingIds: parseInt(row.with_missing_ids),
+      withExtraIds: parseInt(row.with_extra_ids),
+      withOrderDifferences: parseInt(row.with_order_differences),
+      withTotalMismatches: parseInt(row.with_total_mismatches),
+      withFieldDifferences: parseInt(row.with_field_differences),
+      optimizedErrors: parseInt(row.optimized_errors),
+      originalErrors: parseInt(row.original_errors),
+      optimizedP95Ms: row.optimized_p95_ms === null ? null : Math.round(row.optimized_p95_ms),
+      originalP95Ms: row.original_p95_ms === null ? null : Math.round(row.original_p95_ms),
+    };
+  };
+
+  // ROLLUP always adds the grand-total row, even when nothing was sampled yet
+  const summaries = byRequestType.map(toSummary);
+  const overall = summaries.find(summary => summary.requestType === 'total');
+  const { cutoverMatchRate } = this.getDashboardShadowConfig();
+
+  return {
+    since: sinceDate.toISOString(),
+    overall,
+    byRequestType: summaries.filter(summary => summary.requestType !== 'total'),
+    fieldDifferences: fieldDifferences.map(row => ({ field: row.field, occurrences: parseInt(row.occurrences) })),
+    cutover: {
+      requiredMatchRate: cutoverMatchRate,
+      ready: overall.comparisons > 0
+        && overall.matchRate >= cutoverMatchRate
+        && overall.optimizedErrors === 0,
+    },
+  };
+}
+
+getDashboardFallbackConfig() {
+  return {
+    enabled: process.env.DASHBOARD_QUERY_FALLBACK !== 'false',
+  };
+}
+
+// Groups database errors by cause using Postgres SQLSTATE codes and Sequelize error names
+classifyDashboardQueryError(error) {
+  const code = error?.parent?.code || error?.original?.code || error?.code;
+  const name = error?.name || '';
+
+  if (code === '57014' || /Timeout/i.test(name)) {
+    return 'timeout';
+  }
+  if (code === '42601') {
+    return 'syntax';
+  }
+  if (code === '42P01') {
+    return 'missing_table';
+  }
+  if (code === '42703') {
+    return 'missing_column';
+  }
+  if (code === '42883') {
+    return 'missing_function';
+  }
+  if (code === '40001' || code === '40P01') {
+    return 'serialization';
+  }
+  if (code?.startsWith('08') || /Connection/i.test(name)) {
+    return 'connection';
+  }
+  if (code?.startsWith('53')) {
+    return 'insufficient_resources';
+  }
+  if (code?.startsWith('22')) {
+    return 'invalid_data';
+  }
+  return 'unknown';
+}
+
+countDashboardRows(response) {
+  return Object.entries(response || {})
+    .filter(([key, value]) => key !== 'meta' && Array.isArray(value))
+    .reduce((count, [, rows]) => count + rows.length, 0);
+}
+
+// Registered on prom-client's default registry, which the backend serves at /metrics.
+// getSingleMetric keeps repeated repository instances from registering twice.
+getDashboardQueryMetrics() {
+  const client = require('prom-client');
+  const metric = (Type, config) => client.register.getSingleMetric(config.name) || new Type(config);
+
+  return {
+    queries: metric(client.Counter, {
+      name: 'dashboard_queries_total',
+      help: 'Dashboard queries by path (optimized/original), outcome and error class',
+      labelNames: ['path', 'request_type', 'outcome', 'error_class'],
+    }),
+    fallbacks: metric(client.Counter, {
+      name: 'dashboard_query_fallbacks_total',
+      help: 'Optimized dashboard queries that fell back to getAllRequisitionsV2Original',
+      labelNames: ['error_class'],
+    }),
+    duration: metric(client.Histogram, {
+      name: 'dashboard_query_duration_seconds',
+      help: 'Dashboard query duration in seconds',
+      labelNames: ['path', 'request_type', 'outcome'],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+    }),
+    rows: metric(client.Histogram, {
+      name: 'dashboard_query_rows',
+      help: 'Rows returned per dashboard query across the requested tabs',
+      labelNames: ['path', 'request_type'],
+      buckets: [0, 10, 25, 50, 100, 250, 500, 1000],
+    }),
+  };
+}
+
+// One structured log line and one set of metric samples per query attempt
+recordDashboardQuery({ path, requestType, startedAt, rowCount, dataSource, error, errorClass, fallbackReason, fallingBack }) {
+  const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+  const outcome = error ? 'error' : 'success';
+  // Unknown request types would otherwise become unbounded label values
+  const requestTypeLabel = requestType === undefined
+    ? 'all_tabs'
+    : (Object.keys(this.getDashboardTotalColumns()).includes(requestType) ? requestType : 'other');
+
+  console.info(JSON.stringify({
+    event: 'dashboard_query',
+    path,
+    requestType: requestTypeLabel,
+    outcome,
+    durationMs: Math.round(durationSeconds * 1000),
+    rowCount: rowCount ?? null,
+    dataSource: dataSource ?? null,
+    errorClass: errorClass ?? null,
+    errorMessage: error?.message ?? null,
+    fallbackReason: fallbackReason ?? null,
+  }));
+
+  try {
+    const metrics = this.getDashboardQueryMetrics();
+    metrics.queries.inc({ path, request_type: requestTypeLabel, outcome, error_class: errorClass || 'none' });
+    metrics.duration.observe({ path, request_type: requestTypeLabel, outcome }, durationSeconds);
+    if (!error) {
+      metrics.rows.observe({ path, request_type: requestTypeLabel }, rowCount);
+    }
+    if (fallingBack) {
+      metrics.fallbacks.inc({ error_class: errorClass });
+    }
+  } catch (metricsError) {
+    // Metrics must never break the dashboard
+    console.error('Failed to record dashboard query metrics:', metricsError);
+  }
+}
+
+// Streams every row of one tab as CSV or XLSX into a writable stream (e.g. an HTTP response).
+// Filters, requestType, ordering and the time window behave exactly as on the dashboard.
+// Rows are read in keyset batches, so memory is bounded by batchSize, not the export size.
+async exportDashboard(payload, output) {
+  const {
+    format = 'csv',
+    order,
+    filterBy,
+    userFromToken,
+    requestType = 'all',
+    timeRange,
+    timeZone,
+    maxStalenessSeconds,
+    batchSize = 1000,
+  } = payload;
+
+  if (!['csv', 'xlsx'].includes(format)) {
+    throw this.createBadRequestError(`Unsupported export format "${format}"; expected csv or xlsx`);
+  }
+  if (!Object.keys(this.getDashboardTotalColumns()).includes(requestType)) {
+    throw this.createBadRequestError(`Unsupported export requestType "${requestType}"`);
+  }
+  const maxBatchSize = 5000;
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > maxBatchSize) {
+    throw this.createBadRequestError(`Export batchSize must be an integer from 1 to ${maxBatchSize}`, { field: 'batchSize' });
+  }
+
+  const { id: userId, role } = userFromToken;
+  const categoryPages = this.buildCategoryPagination(requestType, {
+    page: 1,
+    limit: batchSize,
+    order: this.resolveDashboardOrder(order, filterBy),
+  });
+  const categoryPage = categoryPages[requestType];
+
+  const {
+    timeFilter,
+    replacements,
+    baseFilterClause,
+    docsSource,
+    unifiedDocsCTE,
+  } = await this.prepareDashboardQuery({ userId, filterBy, timeRange, timeZone, maxStalenessSeconds });
+
+  const docTypeOutputMap = this.getDocTypeOutputMap();
+  const columns = this.getDashboardExportColumns();
+  const writer = this.createDashboardExportWriter(format, output, columns);
+
+  let rowCount = 0;
+  let cursor = null;
+  try {
+    do {
+      replacements[`${requestType}_limit`] = categoryPage.limit + 1;
+      replacements[`${requestType}_offset`] = 0;
+      cursor?.values.forEach((value, index) => {
+        replacements[`${requestType}_cursor_${index}`] = value;
+      });
+
+      const batchQuery = this.buildSingleOptimizedQuery(
+        unifiedDocsCTE,
+        baseFilterClause,
+        { [requestType]: { ...categoryPage, cursor } },
+        role,
+        { includeTotals: false }
+      );
+      const rows = await this.db.sequelize.query(batchQuery, {
+        replacements,
+        type: this.db.Sequelize.QueryTypes.SELECT,
+      });
+
+      const hasMore = rows.length > categoryPage.limit;
+      if (hasMore) {
+        rows.pop();
+      }
+
+      for (const row of rows) {
+        await writer.write(this.buildDashboardExportRecord(row, docTypeOutputMap, timeFilter.timeZone));
+      }
+      rowCount += rows.length;
+
+      cursor = hasMore ? { direction: 'next', values: rows[rows.length - 1].sort_keys } : null;
+    } while (cursor);
+
+    await writer.end();
+  } catch (error) {
+    // A half-written file must not look complete to the client
+    output.destroy(error);
+    throw error;
+  }
+
+  return {
+    format,
+    requestType,
+    rowCount,
+    dataSource: docsSource.source,
+    dataRefreshedAt: docsSource.refreshedAt ?? null,
+    timeWindow: this.describeTimeWindow(timeFilter),
+  };
+}
+
+// Shared by the dashboard and the export: time window, filters and the unified_docs source
+async prepareDashboardQuery({ userId, filterBy, timeRange, timeZone, maxStalenessSeconds }) {
+  // Time-based optimization: Use TimescaleDB's time partitioning
+  const timeFilter = this.resolveDashboardTimeWindow({ timeRange, filterBy, timeZone });
+
+  const replacements = { userId };
+  if (!timeFilter.allTime) {
+    replacements.timeStart = timeFilter.start;
+    replacements.timeEnd = timeFilter.end;
+  }
+
+  // Build optimized filter conditions with time-based hints
+  const baseFilterConditions = this.buildOptimizedFilters(filterBy, replacements, { timeZone: timeFilter.timeZone });
+  const baseFilterClause = baseFilterConditions.length > 0
+    ? `AND ${baseFilterConditions.join(' AND ')}`
+    : '';
+
+  // Read from unified_docs_view when it is fresh enough, otherwise build the union live
+  const docsSource = await this.resolveUnifiedDocsSource(maxStalenessSeconds);
+  const unifiedDocsCTE = docsSource.source === 'unified_docs_view'
+    ? this.buildUnifiedDocsViewCTE({ timeFiltered: !timeFilter.allTime })
+    : this.buildUnifiedDocsCTE({ timeFiltered: !timeFilter.allTime });
+
+  return { timeFilter, replacements, baseFilterClause, docsSource, unifiedDocsCTE };
+}
+
+describeTimeWindow(timeFilter) {
+  return {
+    start: timeFilter.start,
+    end: timeFilter.end,
+    timeZone: timeFilter.timeZone,
+    allTime: timeFilter.allTime,
+    reason: timeFilter.reason,
+  };
+}
+
+getDashboardExportColumns() {
+  return [
+    { key: 'ref_number', header: 'Reference No.', width: 22 },
+    { key: 'doc_type', header: 'Document Type', width: 14 },
+    { key: 'status', header: 'Status', width: 24 },
+    { key: 'requestor_name', header: 'Requestor', width: 24 },
+    { key: 'assigned_to_user_name', header: 'Assignee', width: 24 },
+    { key: 'company_name', header: 'Company', width: 28 },
+    { key: 'project_name', header: 'Project', width: 28 },
+    { key: 'department_name', header: 'Department', width: 24 },
+    { key: 'updated_at', header: 'Last Updated', width: 20 },
+  ];
+}
+
+buildDashboardExportRecord(row, docTypeOutputMap, timeZone) {
+  const pad = value => String(value).padStart(2, '0');
+  const updatedAt = row.updated_at ? this.getZonedDateParts(new Date(row.updated_at), timeZone) : null;
+
+  return {
+    ref_number: row.ref_number,
+    doc_type: docTypeOutputMap[row.doc_type] || row.doc_type,
+    status: row.status,
+    // CONCAT of two missing names is a single space
+    requestor_name: (row.requestor_name || '').trim(),
+    assigned_to_user_name: (row.assigned_to_user_name || '').trim(),
+    company_name: row.company_name || '',
+    project_name: row.project_name || '',
+    department_name: row.department_name || '',
+    // Wall-clock time in the export's timezone, matching the dashboard
+    updated_at: updatedAt
+      ? `${updatedAt.year}-${pad(updatedAt.month)}-${pad(updatedAt.day)} ${pad(updatedAt.hour)}:${pad(updatedAt.minute)}:${pad(updatedAt.second)}`
+      : '',
+  };
+}
+
+// write() resolves once the output can take more data, so a slow client throttles the export
+createDashboardExportWriter(format, output, columns) {
+  const waitForDrain = () => new Promise((resolve, reject) => {
+    const settle = (error) => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', settle);
+      return error ? reject(error) : resolve();
+    };
+    const onDrain = () => settle();
+    // A client that disconnects never drains
+    const onClose = () => settle(new Error('Dashboard export output closed before the export finished'));
+    output.on('drain', onDrain);
+    output.once('close', onClose);
+    output.once('error', settle);
+  });
+
+  if (format === 'xlsx') {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: output,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const worksheet = workbook.addWorksheet('Dashboard');
+    worksheet.columns = columns;
+
+    return {
+      write: async (record) => {
+        worksheet.addRow(record).commit();
+        // The workbook pipes its zip stream into output, so wait for output to catch up
+        if (output.writableNeedDrain) {
+          await waitForDrain();
+        }
+      },
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  const writeChunk = async (chunk) => {
+    if (!output.write(chunk)) {
+      await waitForDrain();
+    }
+  };
+  const toCsvLine = values => `${values.map(value => this.escapeCsvValue(value)).join(',')}\r\n`;
+
+  // The BOM lets Excel open the UTF-8 file with names intact
+  let started = false;
+  const ensureHeader = async () => {
+    if (!started) {
+      started = true;
+      await writeChunk(`\uFEFF${toCsvLine(columns.map(column => column.header))}`);
+    }
+  };
+
+  return {
+    write: async (record) => {
+      await ensureHeader();
+      await writeChunk(toCsvLine(columns.map(column => record[column.key])));
+    },
+    end: async () => {
+      await ensureHeader();
+      await new Promise(resolve => output.end(resolve));
+    },
+  };
+}
+
+escapeCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  // Keep spreadsheet apps from evaluating user-entered text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Time-bucketed counts for management reporting, over the same doc types, filters and
+// tab conditions as the dashboard. Per bucket: documents created, approved and closed
+// (split by doc type, company or project), plus requisition chains that reached a
+// voucher and their median RS -> PO -> voucher cycle times.
+async getDashboardTrends(payload) {
+  const {
+    userFromToken,
+    filterBy,
+    timeRange,
+    timeZone,
+    maxStalenessSeconds,
+    requestType = 'all',
+    interval = 'week', // day | week | month
+    groupBy = 'doc_type', // doc_type | company | project
+  } = payload;
+
+  const intervals = this.getDashboardTrendIntervals();
+  const dimensions = this.getDashboardTrendDimensions();
+  if (!intervals[interval]) {
+    throw this.createBadRequestError(`Unsupported trend interval "${interval}"; expected ${Object.keys(intervals).join(', ')}`);
+  }
+  if (!dimensions[groupBy]) {
+    throw this.createBadRequestError(`Unsupported trend groupBy "${groupBy}"; expected ${Object.keys(dimensions).join(', ')}`);
+  }
+  if (!Object.keys(this.getDashboardTotalColumns()).includes(requestType)) {
+    throw this.createBadRequestError(`Unsupported trend requestType "${requestType}"`);
+  }
+
+  const { id: userId, role } = userFromToken;
+  const {
+    timeFilter,
+    replacements,
+    baseFilterClause,
+    docsSource,
+    unifiedDocsCTE,
+  } = await this.prepareDashboardQuery({ userId, filterBy, timeRange, timeZone, maxStalenessSeconds });
+
+  if (timeFilter.allTime) {
+    throw this.createBadRequestError('Trends need a bounded timeRange', { field: 'timeRange' });
+  }
+
+  const buckets = this.listTrendBuckets(timeFilter.start, timeFilter.end, interval, timeFilter.timeZone);
+  if (buckets.length > 1000) {
+    throw this.createBadRequestError(
+      `timeRange spans more than 1000 ${interval} buckets; use a longer interval or a shorter range`,
+      { field: 'timeRange' }
+    );
+  }
+
+  // Events are counted inside the window. Any document with an event in the window was
+  // last updated at or after its start, so unified_docs is only cut on that side.
+  replacements.windowStart = timeFilter.start;
+  replacements.windowEnd = timeFilter.end;
+  replacements.timeEnd = 'infinity';
+  replacements.timeZone = timeFilter.timeZone;
+
+  const queryOptions = { replacements, type: this.db.Sequelize.QueryTypes.SELECT };
+  const [eventRows, cycleRows] = await Promise.all([
+    this.db.sequelize.query(
+      this.buildTrendEventsQuery(unifiedDocsCTE, baseFilterClause, requestType, role, interval, groupBy),
+      queryOptions
+    ),
+    this.db.sequelize.query(
+      this.buildTrendCycleQuery(unifiedDocsCTE, baseFilterClause, requestType, role, interval),
+      queryOptions
+    ),
+  ]);
+
+  return {
+    interval,
+    groupBy,
+    requestType,
+    dataSource: docsSource.source,
+    dataRefreshedAt: docsSource.refreshedAt ?? null,
+    timeWindow: this.describeTimeWindow(timeFilter),
+    buckets: this.processTrendResults(buckets, eventRows, cycleRows, groupBy),
+  };
+}
+
+getDashboardTrendIntervals() {
+  return { day: '1 day', week: '1 week', month: '1 month' };
+}
+
+getDashboardTrendDimensions() {
+  return {
+    doc_type: { key: 'ud.doc_type', label: 'ud.doc_type' },
+    company: { key: 'CAST(ud.company_id AS TEXT)', label: 'c.name' },
+    project: { key: 'CAST(ud.project_id AS TEXT)', label: 'p.name' },
+  };
+}
+
+// Bucket starts in the caller's timezone: local midnight, Monday (time_bucket's default
+// week origin) or the 1st of the month. Empty buckets are reported with zero counts.
+listTrendBuckets(start, end, interval, timeZone) {
+  const { year, month, day } = this.getZonedDateParts(start, timeZone);
+  let firstDay = interval === 'month' ? 1 : day;
+  if (interval === 'week') {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    firstDay -= (weekday + 6) % 7;
+  }
+
+  const buckets = [];
+  // Stops at the cap checked by the caller so a huge range never builds a huge list
+  for (let step = 0; buckets.length <= 1000; step += 1) {
+    const bucketStart = interval === 'month'
+      ? this.zonedTimeToUtc({ year, month: month + step, day: 1 }, timeZone)
+      : this.zonedTimeToUtc({ year, month, day: firstDay + step * (interval === 'week' ? 7 : 1) }, timeZone);
+    if (bucketStart >= end) {
+      break;
+    }
+    buckets.push(bucketStart);
+  }
+  return buckets;
+}
+
+// Documents in the requested tab after the dashboard filters
+buildTrendDocsCTE(unifiedDocsCTE, baseFilterClause, requestType, role, groupBy) {
+  const dimension = this.getDashboardTrendDimensions()[groupBy];
+  const categoryCondition = this.buildRequestCategoryCondition(requestType, role);
+
+  return `
+    ${unifiedDocsCTE},
+    trend_docs AS (
+      SELECT
+        ud.id, ud.doc_type, ud.grouping_id, ud.created_at, ud.root_created_at,
+        ${dimension ? `${dimension.key} AS group_key, ${dimension.label} AS group_label` : 'NULL AS group_key, NULL AS group_label'}
+      ${this.buildDashboardFromClause('unified_docs', baseFilterClause)}
+      ${categoryCondition ? `AND ${categoryCondition}` : ''}
+    )
+  `;
+}
+
+buildTrendBucketExpression(interval, column) {
+  return `time_bucket(INTERVAL '${this.getDashboardTrendIntervals()[interval]}', ${column}, :timeZone)`;
+}
+
+// Created comes from the document itself; approved and closed from the status history
+buildTrendEventsQuery(unifiedDocsCTE, baseFilterClause, requestType, role, interval, groupBy) {
+  const approvedConditions = this.getUnifiedDocTypeRegistry()
+    .filter(definition => definition.approvedStatuses)
+    .map(({ docType, approvedStatuses }) =>
+      `(h.doc_type = '${docType}' AND h.status IN (${approvedStatuses.map(status => `'${status}'`).join(', ')}))`
+    );
+
+  return `
+    ${this.buildTrendDocsCTE(unifiedDocsCTE, baseFilterClause, requestType, role, groupBy)},
+    trend_events AS (
+      SELECT 'created' AS metric, td.doc_type, td.id, td.group_key, td.group_label, td.created_at AS occurred_at
+      FROM trend_docs td
+
+      UNION ALL
+
+      SELECT
+        CASE WHEN LOWER(h.status) = 'closed' THEN 'closed' ELSE 'approved' END AS metric,
+        td.doc_type, td.id, td.group_key, td.group_label, h.changed_at AS occurred_at
+      FROM trend_docs td
+      INNER JOIN document_status_history h ON h.doc_type = td.doc_type AND h.doc_id = td.id
+      WHERE h.changed_at >= :windowStart AND h.changed_at < :windowEnd
+        AND (LOWER(h.status) = 'closed' OR ${approvedConditions.join(' OR ')})
+    )
+    SELECT
+      ${this.buildTrendBucketExpression(interval, 'occurred_at')} AS bucket,
+      metric,
+      group_key,
+      MAX(group_label) AS group_label,
+      COUNT(DISTINCT (doc_type, id)) AS documents
+    FROM trend_events
+    WHERE occurred_at >= :windowStart AND occurred_at < :windowEnd
+    GROUP BY 1, 2, 3
+    ORDER BY 1, 3, 2
+  `;
+}
+
+// A chain completes when its first voucher (the completesChain doc type) is created; cycle
+// times run from the requisition's creation to its first PO and from that PO to the voucher.
+// trend_docs only picks the chains the caller can see and filter to; the first PO and
+// voucher come from the base tables, since trend_docs misses documents last updated
+// before the window.
+buildTrendCycleQuery(unifiedDocsCTE, baseFilterClause, requestType, role, interval) {
+  const purchaseOrder = this.getUnifiedDocType('purchase_order');
+  const completingDefinitions = this.getUnifiedDocTypeRegistry().filter(definition => definition.completesChain);
+  const completingDocTypes = completingDefinitions.map(definition => `'${definition.docType}'`);
+  const completingDocs = completingDefinitions.map(({ table, alias, requisitionColumn }) => `
+          SELECT ${alias}.created_at
+          FROM ${table} ${alias}
+          WHERE ${alias}.${requisitionColumn} = CAST(cc.grouping_id AS INTEGER)`);
+  const hours = (from, to) => `PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM ${to} - ${from}) / 3600)`;
+
+  return `
+    ${this.buildTrendDocsCTE(unifiedDocsCTE, baseFilterClause, requestType, role, null)},
+    completed_chains AS (
+      SELECT grouping_id, MIN(root_created_at) AS rs_created_at
+      FROM trend_docs
+      WHERE doc_type IN (${completingDocTypes.join(', ')})
+      GROUP BY grouping_id
+    ),
+    chain_cycles AS (
+      SELECT cc.*, first_po.created_at AS po_created_at, first_voucher.created_at AS voucher_created_at
+      FROM completed_chains cc
+      LEFT JOIN LATERAL (
+        SELECT MIN(${purchaseOrder.alias}.created_at) AS created_at
+        FROM ${purchaseOrder.table} ${purchaseOrder.alias}
+        WHERE ${purchaseOrder.alias}.${purchaseOrder.requisitionColumn} = CAST(cc.grouping_id AS INTEGER)
+      ) first_po ON true
+      CROSS JOIN LATERAL (
+        SELECT MIN(created_at) AS created_at
+        FROM (${completingDocs.join('\n\n          UNION ALL\n')}
+        ) completing_docs
+      ) first_voucher
+      WHERE first_voucher.created_at >= :windowStart AND first_voucher.created_at < :windowEnd
+    )
+    SELECT
+      ${this.buildTrendBucketExpression(interval, 'voucher_created_at')} AS bucket,
+      COUNT(*) AS throughput,
+      ${hours('rs_created_at', 'po_created_at')} AS rs_to_po_hours,
+      ${hours('po_created_at', 'voucher_created_at')} AS po_to_voucher_hours,
+      ${hours('rs_created_at', 'voucher_created_at')} AS rs_to_voucher_hours
+    FROM chain_cycles
+    GROUP BY 1
+  `;
+}
+
+processTrendResults(buckets, eventRows, cycleRows, groupBy) {
+  const docTypeOutputMap = this.getDocTypeOutputMap();
+  const roundHours = value => (value === null || value === undefined ? null : Math.round(parseFloat(value) * 10) / 10);
+  const emptyCounts = () => ({ created: 0, approved: 0, closed: 0 });
+
+  const byBucket = new Map(buckets.map(bucketStart => [bucketStart.getTime(), {
+    start: bucketStart.toISOString(),
+    ...emptyCounts(),
+    throughput: 0,
+    medianCycleHours: { rsToPo: null, poToVoucher: null, rsToVoucher: null },
+    groups: new Map(),
+  }]));
+
+  (eventRows || []).forEach(row => {
+    const bucket = byBucket.get(new Date(row.bucket).getTime());
+    if (!bucket) {
+      return;
+    }
+
+    const documents = parseInt(row.documents);
+    const groupKey = row.group_key ?? 'none';
+    if (!bucket.groups.has(groupKey)) {
+      bucket.groups.set(groupKey, {
+        key: row.group_key,
+        label: groupBy === 'doc_type' ? docTypeOutputMap[row.group_key] || row.group_key : row.group_label,
+        ...emptyCounts(),
+      });
+    }
+    bucket[row.metric] += documents;
+    bucket.groups.get(groupKey)[row.metric] += documents;
+  });
+
+  (cycleRows || []).forEach(row => {
+    const bucket = byBucket.get(new Date(row.bucket).getTime());
+    if (!bucket) {
+      return;
+    }
+
+    bucket.throughput = parseInt(row.throughput);
+    bucket.medianCycleHours = {
+      rsToPo: roundHours(row.rs_to_po_hours),
+      poToVoucher: roundHours(row.po_to_voucher_hours),
+      rsToVoucher: roundHours(row.rs_to_voucher_hours),
+    };
+  });
+
+  return [...byBucket.values()].map(bucket => ({ ...bucket, groups: [...bucket.groups.values()] }));
+}
+
+// Saved views: named requestType / filterBy / order / timeRange combinations kept in
+// dashboard_saved_views. A view can be shared with a role (by name) or a department;
+// everyone it is shared with can run it, only its owner can change it.
+async listDashboardViews(userFromToken) {
+  const rows = await this.db.sequelize.query(`
+    SELECT v.*
+    FROM dashboard_saved_views v
+    WHERE ${this.buildDashboardViewAccessCondition()}
+    ORDER BY (v.user_id = :userId) DESC, v.is_default DESC, LOWER(v.name), v.id
+  `, {
+    replacements: this.buildDashboardViewAccessReplacements(userFromToken),
+    type: this.db.Sequelize.QueryTypes.SELECT,
+  });
+
+  return rows.map(row => this.mapDashboardViewRow(row, userFromToken.id));
+}
+
+async getDashboardView(userFromToken, viewId) {
+  const id = this.parseDashboardViewId(viewId);
+  const [row] = await this.db.sequelize.query(`
+    SELECT v.*
+    FROM dashboard_saved_views v
+    WHERE v.id = :viewId AND ${this.buildDashboardViewAccessCondition()}
+  `, {
+    replacements: { ...this.buildDashboardViewAccessReplacements(userFromToken), viewId: id },
+    type: this.db.Sequelize.QueryTypes.SELECT,
+  });
+
+  if (!row) {
+    throw this.createNotFoundError(`Saved view ${viewId} not found`, { viewId });
+  }
+  return this.mapDashboardViewRow(row, userFromToken.id);
+}
+
+async getDefaultDashboardView(userFromToken) {
+  const [row] = await this.db.sequelize.query(`
+    SELECT v.* FROM dashboard_saved_views v WHERE v.user_id = :userId AND v.is_default
+  `, { replacements: { userId: userFromToken.id }, type: this.db.Sequelize.QueryTypes.SELECT });
+
+  return row ? this.mapDashboardViewRow(row, userFromToken.id) : null;
+}
+
+async createDashboardView(userFromToken, input) {
+  const view = this.normalizeDashboardViewInput(input);
+  await this.assertDashboardViewNameAvailable(userFromToken.id, view.name);
+
+  const [row] = await this.db.sequelize.query(`
+    INSERT INTO dashboard_saved_views (
+      user_id, name, request_type, filter_by, sort_order, time_range, shared_role, shared_department_id
+    ) VALUES (
+      :userId, :name, :requestType, CAST(:filterBy AS JSONB), CAST(:order AS JSONB),
+      CAST(:timeRange AS JSONB), :sharedRole, :sharedDepartmentId
+    )
+    RETURNING id
+  `, {
+    replacements: { userId: userFromToken.id, ...this.buildDashboardViewReplacements(view) },
+    type: this.db.Sequelize.QueryTypes.SELECT,
+  });
+
+  if (view.isDefault) {
+    await this.setDefaultDashboardView(userFromToken, row.id);
+  }
+  return this.describeDashboardView(userFromToken, row.id);
+}
+
+async updateDashboardView(userFromToken, viewId, changes) {
+  const current = await this.getOwnedDashboardView(userFromToken, viewId);
+  const view = this.normalizeDashboardViewInput(changes, current);
+  if (view.name.toLowerCase() !== current.name.toLowerCase()) {
+    await this.assertDashboardViewNameAvailable(userFromToken.id, view.name);
+  }
+
+  await this.db.sequelize.query(`
+    UPDATE dashboard_saved_views
+    SET name = :name, request_type = :requestType, filter_by = CAST(:filterBy AS JSONB),
+      sort_order = CAST(:order AS JSONB), time_range = CAST(:timeRange AS JSONB),
+      shared_role = :sharedRole, shared_department_id = :sharedDepartmentId, updated_at = NOW()
+    WHERE id = :viewId
+  `, {
+    replacements: { viewId: current.id, ...this.buildDashboardViewReplacements(view) },
+    type: this.db.Sequelize.QueryTypes.UPDATE,
+  });
+
+  if (view.isDefault !== current.isDefault) {
+    await this.setDefaultDashboardView(userFromToken, view.isDefault ? current.id : null);
+  }
+  return this.describeDashboardView(userFromToken, current.id);
+}
+
+async deleteDashboardView(userFromToken, viewId) {
+  const current = await this.getOwnedDashboardView(userFromToken, viewId);
+  await this.db.sequelize.query('DELETE FROM dashboard_saved_views WHERE id = :viewId', {
+    replacements: { viewId: current.id },
+    type: this.db.Sequelize.QueryTypes.DELETE,
+  });
+}
+
+// Pass null to clear the default. One statement, so a user never has two defaults.
+async setDefaultDashboardView(userFromToken, viewId) {
+  const id = viewId === null ? null : (await this.getOwnedDashboardView(userFromToken, viewId)).id;
+  await this.db.sequelize.query(`
+    UPDATE dashboard_saved_views
+    SET is_default = (id IS NOT DISTINCT FROM :viewId)
+    WHERE user_id = :userId AND (is_default OR id IS NOT DISTINCT FROM :viewId)
+  `, {
+    replacements: { userId: userFromToken.id, viewId: id },
+    type: this.db.Sequelize.QueryTypes.UPDATE,
+  });
+}
+
+// Runs a saved view for the calling user. Paging, cursor, timezone, grouped and facets
+// come from the payload; requestType, filterBy, order and timeRange from the view.
+async runDashboardView(viewId, payload) {
+  const view = await this.getDashboardView(payload.userFromToken, viewId);
+  const [response, problems] = await Promise.all([
+    this.getAllRequisitionsV2Optimized({
+      ...payload,
+      requestType: view.requestType,
+      filterBy: view.filterBy ?? undefined,
+      order: view.order ?? undefined,
+      timeRange: view.timeRange ?? undefined,
+    }),
+    this.findDashboardViewProblems([view]),
+  ]);
+
+  response.meta.savedView = {
+    id: view.id,
+    name: view.name,
+    requestType: view.requestType,
+    resultCount: response.meta.pagination?.[view.requestType]?.total ?? null,
+    problems: problems.get(view.id),
+  };
+  return response;
+}
+
+// Reports saved views (all of them, or one user's) whose filters no longer pass validation
+// or reference companies, projects, departments or statuses that are gone
+async validateDashboardViews({ userId } = {}) {
+  const rows = await this.db.sequelize.query(`
+    SELECT v.* FROM dashboard_saved_views v
+    ${userId === undefined ? '' : 'WHERE v.user_id = :userId'}
+    ORDER BY v.id
+  `, { replacements: { userId }, type: this.db.Sequelize.QueryTypes.SELECT });
+
+  const views = rows.map(row => this.mapDashboardViewRow(row, row.user_id));
+  const problems = await this.findDashboardViewProblems(views);
+
+  return {
+    checkedAt: new Date().toISOString(),
+    checked: views.length,
+    invalid: views
+      .filter(view => problems.get(view.id).length > 0)
+      .map(view => ({ id: view.id, name: view.name, ownerId: view.ownerId, problems: problems.get(view.id) })),
+  };
+}
+
+async describeDashboardView(userFromToken, viewId) {
+  const view = await this.getDashboardView(userFromToken, viewId);
+  const problems = await this.findDashboardViewProblems([view]);
+  return { ...view, problems: problems.get(view.id) };
+}
+
+async getOwnedDashboardView(userFromToken, viewId) {
+  const view = await this.getDashboardView(userFromToken, viewId);
+  if (!view.owned) {
+    throw this.createForbiddenError(`Saved view ${viewId} can only be changed by its owner`, { viewId });
+  }
+  return view;
+}
+
+async assertDashboardViewNameAvailable(userId, name) {
+  const [existing] = await this.db.sequelize.query(`
+    SELECT id FROM dashboard_saved_views WHERE user_id = :userId AND LOWER(name) = LOWER(:name)
+  `, { replacements: { userId, name }, type: this.db.Sequelize.QueryTypes.SELECT });
+
+  if (existing) {
+    throw this.createBadRequestError(`A saved view named "${name}" already exists`, { field: 'name' });
+  }
+}
+
+parseDashboardViewId(viewId) {
+  const id = Number(viewId);
+  if (viewId === null || viewId === '' || !Number.isSafeInteger(id) || id <= 0) {
+    throw this.createBadRequestError(`Invalid saved view id "${viewId}"`, { field: 'viewId' });
+  }
+  return id;
+}
+
+// Shared views reach users of the role (by name) or of the department, read from users
+// so a move between departments takes effect without a new token
+buildDashboardViewAccessCondition() {
+  return `(
+      v.user_id = :userId OR
+      v.shared_role = :roleName OR
+      v.shared_department_id = (SELECT department_id FROM users WHERE id = :userId)
+    )`;
+}
+
+buildDashboardViewAccessReplacements(userFromToken) {
+  return { userId: userFromToken.id, roleName: userFromToken.role?.name ?? null };
+}
+
+buildDashboardViewReplacements(view) {
+  const toJson = value => (value === null ? null : JSON.stringify(value));
+  return {
+    name: view.name,
+    requestType: view.requestType,
+    filterBy: toJson(view.filterBy),
+    order: toJson(view.order),
+    timeRange: toJson(view.timeRange),
+    sharedRole: view.sharedWith.role,
+    sharedDepartmentId: view.sharedWith.departmentId,
+  };
+}
+
+mapDashboardViewRow(row, userId) {
+  const owned = row.user_id === userId;
+  return {
+    id: parseInt(row.id),
+    name: row.name,
+    ownerId: row.user_id,
+    owned,
+    requestType: row.request_type,
+    filterBy: row.filter_by,
+    order: row.sort_order,
+    timeRange: row.time_range,
+    // Defaults are per owner; a shared view is never someone else's default
+    isDefault: owned && row.is_default,
+    sharedWith: { role: row.shared_role, departmentId: row.shared_department_id },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Merges input over the current view and checks it the way the dashboard would. Values are
+// stored as given, so relative ranges such as 'this month' resolve again on every run.
+normalizeDashboardViewInput(input, current = {}) {
+  const allowedKeys = ['name', 'requestType', 'filterBy', 'order', 'timeRange', 'isDefault', 'sharedWith'];
+  const unknownKeys = Object.keys(input || {}).filter(key => !allowedKeys.includes(key));
+  if (unknownKeys.length > 0) {
+    throw this.createBadRequestError(`Unknown saved view keys: ${unknownKeys.join(', ')}`, { fields: unknownKeys });
+  }
+
+  const merged = { ...current, ...input };
+  const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+  if (name === '' || name.length > 100) {
+    throw this.createBadRequestError('Saved view name must be 1 to 100 characters', { field: 'name' });
+  }
+
+  const requestType = merged.requestType ?? 'all';
+  if (!Object.keys(this.getDashboardTotalColumns()).includes(requestType)) {
+    throw this.createBadRequestError(`Unsupported saved view requestType "${requestType}"`, { field: 'requestType' });
+  }
+
+  const isEmpty = value => value === undefined || value === null || (typeof value === 'object' && Object.keys(value).length === 0);
+  const filterBy = isEmpty(merged.filterBy) ? null : merged.filterBy;
+  const order = isEmpty(merged.order) ? null : merged.order;
+  const timeRange = isEmpty(merged.timeRange) ? null : merged.timeRange;
+
+  if (order) {
+    const [direction] = Object.values(order);
+    if (Object.keys(order).length > 1 || !['asc', 'desc'].includes(String(direction).toLowerCase())) {
+      throw this.createBadRequestError('Saved view order must be one { field: "asc" | "desc" } pair', { field: 'order' });
+    }
+  }
+  this.buildOptimizedFilters(filterBy, {});
+  this.resolveDashboardOrder(order, filterBy);
+  this.resolveDashboardTimeWindow({ timeRange: timeRange ?? undefined, filterBy, timeZone: this.getDashboardTimeZone() });
+
+  const { role = null, departmentId = null, ...otherShares } = merged.sharedWith || {};
+  if (Object.keys(otherShares).length > 0) {
+    throw this.createBadRequestError(`Saved views can only be shared with a role or a department`, { field: 'sharedWith' });
+  }
+  if (role !== null && (typeof role !== 'string' || role.trim() === '')) {
+    throw this.createBadRequestError('sharedWith.role must be a role name', { field: 'sharedWith.role' });
+  }
+  if (departmentId !== null && !Number.isInteger(Number(departmentId))) {
+    throw this.createBadRequestError('sharedWith.departmentId must be an integer id', { field: 'sharedWith.departmentId' });
+  }
+
+  return {
+    name,
+    requestType,
+    filterBy,
+    order,
+    timeRange,
+    isDefault: Boolean(merged.isDefault),
+    sharedWith: {
+      role: role === null ? null : role.trim(),
+      departmentId: departmentId === null ? null : Number(departmentId),
+    },
+  };
+}
+
+// Filter references that can go stale, and the table each id must still exist in
+getDashboardViewReferenceTables() {
+  return { company: 'companies', project: 'projects', department: 'departments' };
+}
+
+// Ids and exact statuses named in filterBy (companies / statuses and eq / in conditions)
+collectDashboardViewReferences(filterBy) {
+  const references = { status: new Set() };
+  Object.keys(this.getDashboardViewReferenceTables()).forEach(field => {
+    references[field] = new Set();
+  });
+
+  (Array.isArray(filterBy?.companies) ? filterBy.companies : []).forEach(id => references.company.add(Number(id)));
+  (Array.isArray(filterBy?.statuses) ? filterBy.statuses : []).forEach(status => references.status.add(status));
+
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    ['and', 'or'].forEach(key => (Array.isArray(node[key]) ? node[key] : []).forEach(visit));
+    if (references[node.field] && ['eq', 'in'].includes(node.op)) {
+      [].concat(node.value).forEach(value => {
+        references[node.field].add(node.field === 'status' ? value : Number(value));
+      });
+    }
+  };
+  visit(filterBy?.where);
+
+  return references;
+}
+
+// Problems per view id. Statuses count as removed when no document of any type has them.
+async findDashboardViewProblems(views) {
+  const referenceTables = this.getDashboardViewReferenceTables();
+  const problems = new Map(views.map(view => [view.id, []]));
+  const referencesByView = new Map();
+
+  views.forEach(view => {
+    try {
+      this.normalizeDashboardViewInput({}, view);
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      problems.get(view.id).push({ field: 'view', value: null, message: error.message });
+    }
+    referencesByView.set(view.id, this.collectDashboardViewReferences(view.filterBy));
+  });
+
+  const wanted = field => [...new Set(
+    [...referencesByView.values()].flatMap(references => [...references[field]])
+  )];
+  const queryOptions = replacements => ({ replacements, type: this.db.Sequelize.QueryTypes.SELECT });
+
+  const existing = {};
+  await Promise.all(Object.entries(referenceTables).map(async ([field, table]) => {
+    const ids = wanted(field).filter(Number.isSafeInteger);
+    const rows = ids.length > 0
+      ? await this.db.sequelize.query(`SELECT id FROM ${table} WHERE id IN (:ids)`, queryOptions({ ids }))
+      : [];
+    existing[field] = new Set(rows.map(row => Number(row.id)));
+  }));
+
+  const statuses = wanted('status').filter(status => typeof status === 'string');
+  if (statuses.length > 0) {
+    const inUse = this.getUnifiedDocTypeRegistry().map(({ table, alias, status }) =>
+      `EXISTS (SELECT 1 FROM ${table} ${alias} WHERE ${status || `${alias}.status`} = candidate.status)`
+    );
+    const rows = await this.db.sequelize.query(`
+      SELECT candidate.status
+      FROM UNNEST(ARRAY[:statuses]::text[]) AS candidate (status)
+      WHERE ${inUse.join('\n        OR ')}
+    `, queryOptions({ statuses }));
+    existing.status = new Set(rows.map(row => row.status));
+  } else {
+    existing.status = new Set();
+  }
+
+  referencesByView.forEach((references, viewId) => {
+    Object.entries(references).forEach(([field, values]) => {
+      values.forEach(value => {
+        if (existing[field].has(value)) {
+          return;
+        }
+        problems.get(viewId).push({
+          field,
+          value,
+          message: field === 'status'
+            ? `No document has status "${value}" any more`
+            : `${field.charAt(0).toUpperCase()}${field.slice(1)} ${value} no longer exists`,
+        });
+      });
+    });
+  });
+
+  return problems;
+}
+
+// Helper methods for optimization
+// Document-type registry: single source for the unified_docs union, sort priority,
+// display labels, approver lookups and the unified_docs_view DDL.
+// Adding a procurement document type (returns, debit memos, ...) means adding one entry here.
+getUnifiedDocTypeRegistry() {
+  return [
+    {
+      docType: 'requisition',
+      label: 'R.S.',
+      priority: 1,
+      table: 'requisitions',
+      alias: 'r',
+      refNumber: {
+        prefix: 'RS',
+        parts: ['r.company_code', 'r.rs_letter', `COALESCE(r.rs_number, '')`],
+        draftWhen: `r.status = 'rs_draft'`,
+        draftParts: ['r.company_code', 'r.rs_letter', `COALESCE(r.draft_rs_number, '')`],
+      },
+      groupingId: 'CAST(r.id AS TEXT)',
+      assignedTo: 'r.assigned_to',
+      approverTable: {
+        table: 'requisition_approvers',
+        docColumn: 'requisition_id',
+        userColumn: 'approver_id',
+        levelColumn: 'level',
+        statusColumn: 'status',
+      },
+      // Statuses regular approvers never see in "my approvals"
+      approvalHiddenStatuses: ['rs_draft'],
+      // Statuses a document moves to once fully approved (trend "approved" counts)
+      approvedStatuses: ['assigning', 'approved'],
+    },
+    {
+      docType: 'canvass',
+      label: 'Canvass',
+      priority: 2,
+      table: 'canvass_requisitions',
+      alias: 'cr',
+      requisitionColumn: 'requisition_id',
+      refNumber: {
+        prefix: 'CS',
+        parts: ['r.company_code', 'cr.cs_letter', `COALESCE(cr.cs_number, '')`],
+        draftWhen: 'cr.cs_number IS NULL',
+        draftParts: ['r.company_code', 'cr.cs_letter', `COALESCE(cr.draft_cs_number, '')`],
+      },
+      groupingId: 'CAST(r.id AS TEXT)',
+      assignedTo: 'r.assigned_to',
+      approverTable: {
+        table: 'canvass_approvers',
+        docColumn: 'canvass_requisition_id',
+        userColumn: 'user_id',
+        levelColumn: 'level',
+        statusColumn: 'status',
+      },
+      approvedStatuses: ['approved'],
+    },
+    {
+      docType: 'purchase_order',
+      label: 'Order',
+      priority: 3,
+      table: 'purchase_orders',
+      alias: 'po',
+      requisitionColumn: 'requisition_id',
+      refNumber: {
+        prefix: 'PO',
+        parts: ['r.company_code', 'po.po_letter', 'po.po_number'],
+      },
+      groupingId: 'CAST(r.id AS TEXT)',
+      assignedTo: 'r.assigned_to',
+      approverTable: {
+        table: 'purchase_order_approvers',
+        docColumn: 'purchase_order_id',
+        userColumn: 'user_id',
+        levelColumn: 'level',
+        statusColumn: 'status',
+      },
+      approvedStatuses: ['approved'],
+    },
+    {
+      docType: 'delivery_receipt',
+      label: 'Delivery',
+      priority: 5,
+      table: 'delivery_receipts',
+      alias: 'dr',
+      requisitionColumn: 'requisition_id',
+      refNumber: {
+        prefix: 'RR',
+        parts: [`COALESCE(dr.dr_number, '')`],
+        draftWhen: 'dr.is_draft',
+        draftParts: [`COALESCE(dr.draft_dr_number, '')`],
+      },
+      status: `COALESCE(dr.status, '')`,
+      groupingId: 'CAST(r.id AS TEXT)',
+      assignedTo: 'r.assigned_to',
+      // The receiver who created it. There is no reviewer data for RRs yet, so they
+      // stay out of "my approvals".
+      responsibleUser: 'dr.created_by',
+    },
+    {
+      docType: 'invoice',
+      label: 'Invoice',
+      priority: 4,
+      table: 'invoice_reports',
+      alias: 'ir',
+      requisitionColumn: 'requisition_id',
+      refNumber: {
+        prefix: 'IR',
+        parts: [`COALESCE(ir.ir_number, '')`],
+        draftWhen: 'ir.is_draft',
+        draftParts: [`COALESCE(ir.ir_draft_number, '')`],
+      },
+      groupingId: 'CAST(r.id AS TEXT)',
+      assignedTo: 'r.assigned_to',
+      // The AP staff member who created it. There is no reviewer data for IRs yet, so
+      // they stay out of "my approvals".
+      responsibleUser: 'ir.created_by',
+    },
+    {
+      docType: 'payment_request',
+      label: 'Voucher',
+      priority: 6,
+      table: 'rs_payment_requests',
+      alias: 'pr',
+      requisitionColumn: 'requisition_id',
+      refNumber: {
+        prefix: 'VR',
+        parts: ['r.company_code', 'pr.pr_letter', `COALESCE(pr.pr_number, '')`],
+        draftWhen: 'pr.is_draft',
+        draftParts: ['r.company_code', `COALESCE(pr.draft_pr_number, '')`],
+      },
+      groupingId: 'CAST(pr.requisition_id AS TEXT)',
+      assignedTo: 'r.assigned_to',
+      approverTable: {
+        table: 'rs_payment_request_approvers',
+        docColumn: 'payment_request_id',
+        userColumn: 'user_id',
+        levelColumn: 'level',
+        statusColumn: 'status',
+      },
+      // Creating one completes the requisition chain (trend throughput and cycle times)
+      completesChain: true,
+      approvalHiddenStatuses: ['PR Draft'],
+      approvedStatuses: ['approved', 'Approved'],
+    },
+    {
+      docType: 'non_requisition',
+      label: 'Non-R.S.',
+      priority: 7,
+      table: 'non_requisitions',
+      alias: 'nr',
+      refNumber: {
+        prefix: 'NR',
+        parts: ['nr.non_rs_letter', `COALESCE(nr.non_rs_number, '')`],
+        draftWhen: `nr.status = 'draft'`,
+        draftParts: ['nr.non_rs_letter', `COALESCE(nr.draft_non_rs_number, '')`],
+      },
+      groupingId: `CONCAT('non_rs_', CAST(nr.id AS TEXT))`,
+      // Text in front of the root id in grouping_id, used to look chains up by root
+      groupingPrefix: 'non_rs_',
+      assignedTo: 'NULL',
+      approverTable: {
+        table: 'non_requisition_approvers',
+        docColumn: 'non_requisition_id',
+        userColumn: 'user_id',
+        levelColumn: 'level',
+        statusColumn: 'status',
+      },
+      approvedStatuses: ['approved'],
+    },
+  ];
+}
+
+getUnifiedDocType(docType) {
+  return this.getUnifiedDocTypeRegistry().find(definition => definition.docType === docType);
+}
+
+// Documents that start a chain (no parent requisition): what a requestor files
+getRootDocTypes() {
+  return this.getUnifiedDocTypeRegistry()
+    .filter(definition => !definition.requisitionColumn)
+    .map(definition => definition.docType);
+}
+
+getDocTypeOutputMap() {
+  return Object.fromEntries(
+    this.getUnifiedDocTypeRegistry().map(definition => [definition.docType, definition.label])
+  );
+}
+
+buildDocTypePriorityExpression(column = 'ud.doc_type') {
+  const branches = [...this.getUnifiedDocTypeRegistry()]
+    .sort((left, right) => left.priority - right.priority)
+    .map(definition => `  WHEN '${definition.docType}' THEN ${definition.priority}`);
+
+  return [`CASE ${column}`, ...branches, '  ELSE 99 END'].join('\n');
+}
+
+// active / draft / inactive, shared by unified_docs_view and the dashboard facets
+buildStatusCategoryExpression(column = 'ud.status') {
+  return `CASE
+  WHEN ${column} IN ('cancelled', 'closed') THEN 'inactive'
+  WHEN ${column} IN ('rs_draft', 'draft') THEN 'draft'
+  ELSE 'active'
+END`;
+}
+
+buildRefNumberExpression({ prefix, parts, draftWhen, draftParts }) {
+  const finalNumber = `CONCAT('${prefix}-', ${parts.join(', ')})`;
+  if (!draftWhen) {
+    return finalNumber;
+  }
+
+  return [
+    'CASE',
+    `  WHEN ${draftWhen} THEN CONCAT('${prefix}-TMP-', ${draftParts.join(', ')})`,
+    `  ELSE ${finalNumber}`,
+    'END',
+  ].join('\n');
+}
+
+indentSql(sql, spaces) {
+  const padding = ' '.repeat(spaces);
+  return sql.split('\n').map(line => (line ? `${padding}${line}` : line)).join('\n');
+}
+
+// One SELECT of the unified docs union. Child documents take requestor, company,
+// project, department and root status from their requisition.
+buildUnifiedDocsBranch(definition, { timeFiltered = true, chainFiltered = false } = {}) {
+  const { docType, table, alias, requisitionColumn, approverTable } = definition;
+  const rootAlias = requisitionColumn ? 'r' : alias;
+  const approverAlias = `${alias}_approvers`;
+  const statusAlias = `${alias}_status`;
+
+  const lines = [
+    `-- ${docType} (${definition.label})`,
+    'SELECT',
+    `  ${alias}.id, '${docType}' AS doc_type,`,
+    `${this.indentSql(this.buildRefNumberExpression(definition.refNumber), 2)} AS ref_number,`,
+    `  ${rootAlias}.created_by AS requestor_id, ${rootAlias}.company_id, ${rootAlias}.project_id, ${rootAlias}.department_id,`,
+    `  ${alias}.updated_at, ${definition.status || `${alias}.status`} AS status,`,
+    `  ${definition.groupingId} AS grouping_id,`,
+    `  ${rootAlias}.status AS root_status,`,
+    `  ${definition.assignedTo} AS assigned_to_user_id,`,
+    `  ${definition.responsibleUser || 'CAST(NULL AS INTEGER)'} AS responsible_user_id,`,
+    `  ${approverTable ? `COALESCE(${approverAlias}.approvers, '[]'::json)` : 'NULL'} AS approvers,`,
+    // Documents untouched since document_status_since was installed count from their last update
+    `  COALESCE(${statusAlias}.status_since, ${alias}.updated_at) AS status_since,`,
+    `  ${rootAlias}.created_at AS root_created_at,`,
+    `  ${alias}.created_at`,
+    `FROM ${table} ${alias}`,
+  ];
+
+  if (requisitionColumn) {
+    lines.push(`INNER JOIN requisitions r ON ${alias}.${requisitionColumn} = r.id`);
+  }
+
+  lines.push(
+    `LEFT JOIN document_status_since ${statusAlias}`,
+    `  ON ${statusAlias}.doc_type = '${docType}' AND ${statusAlias}.doc_id = ${alias}.id`
+  );
+
+  if (approverTable) {
+    lines.push(
+      'LEFT JOIN LATERAL (',
+      '  SELECT JSON_AGG(DISTINCT user_id) AS approvers',
+      '  FROM (',
+      `    SELECT ${approverTable.userColumn} AS user_id FROM ${approverTable.table} WHERE ${approverTable.docColumn} = ${alias}.id`,
+      '    UNION ALL',
+      `    SELECT alt_approver_id AS user_id FROM ${approverTable.table}`,
+      `    WHERE ${approverTable.docColumn} = ${alias}.id AND alt_approver_id IS NOT NULL`,
+      '  ) approver_list',
+      `) ${approverAlias} ON true`
+    );
+  }
+
+  const conditions = [];
+  if (timeFiltered) {
+    conditions.push(`${alias}.updated_at >= :timeStart AND ${alias}.updated_at < :timeEnd`);
+  }
+  if (chainFiltered) {
+    // Chain lookups go through the root id so the primary key / requisition_id indexes apply
+    const prefix = definition.groupingPrefix || '';
+    conditions.push(`${rootAlias}.id IN (
+  SELECT CAST(SUBSTRING(grouping_id FROM ${prefix.length + 1}) AS INTEGER) FROM page_groups
+  WHERE grouping_id ~ '^${prefix}[0-9]+$'
+)`);
+  }
+  if (conditions.length > 0) {
+    lines.push(`WHERE ${conditions.join(' AND ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+buildUnifiedDocsCTE({ timeFiltered = true } = {}) {
+  const branches = this.getUnifiedDocTypeRegistry()
+    .map(definition => this.indentSql(this.buildUnifiedDocsBranch(definition, { timeFiltered }), 8));
+
+  return `
+    WITH RECURSIVE unified_docs AS (
+      -- Use time-based filtering for chunk exclusion
+      SELECT * FROM (
+${branches.join('\n\n        UNION ALL\n\n')}
+      ) all_docs
+    )
+  `;
+}
+
+// Every document of the chains on the current page, regardless of the time window,
+// so a group always carries its root requisition / non-RS
+buildChainDocsCTE(source) {
+  if (source === 'unified_docs_view') {
+    return `
+    chain_docs AS (
+      SELECT
+        id, doc_type, ref_number, requestor_id, company_id, project_id, department_id,
+        updated_at, status, grouping_id, root_status, assigned_to_user_id, responsible_user_id,
+        approvers, status_since, root_created_at, created_at
+      FROM unified_docs_view
+      WHERE grouping_id IN (SELECT grouping_id FROM page_groups)
+    )
+    `;
+  }
+
+  const branches = this.getUnifiedDocTypeRegistry()
+    .map(definition => this.indentSql(
+      this.buildUnifiedDocsBranch(definition, { timeFiltered: false, chainFiltered: true }),
+      8
+    ));
+
+  return `
+    chain_docs AS (
+      SELECT * FROM (
+${branches.join('\n\n        UNION ALL\n\n')}
+      ) chain_union
+    )
+  `;
+}
+
+getUnifiedDocsViewConfig() {
+  return {
+    enabled: process.env.USE_UNIFIED_DOCS_VIEW !== 'false',
+    maxStalenessSeconds: parseInt(process.env.UNIFIED_DOCS_VIEW_MAX_STALENESS_SECONDS || '300'),
+  };
+}
+
+// Decides whether this request can be served from unified_docs_view. Freshness comes
+// from the refresh log written by refresh_unified_docs_view(), measured from when the
+// last refresh started (writes after that may be missing); a missing view, log or
+// unpopulated view all fall back to the live union. Other errors are not hidden.
+async resolveUnifiedDocsSource(maxStalenessSeconds) {
+  const config = this.getUnifiedDocsViewConfig();
+  const stalenessBudget = maxStalenessSeconds ?? config.maxStalenessSeconds;
+
+  if (!config.enabled || stalenessBudget <= 0) {
+    return { source: 'live', reason: 'disabled' };
+  }
+
+  let freshness;
+  try {
+    [freshness] = await this.db.sequelize.query(`
+      SELECT
+        m.ispopulated AS is_populated,
+        (SELECT MAX(started_at) FROM unified_docs_view_refresh_log) AS refreshed_at
+      FROM pg_matviews m
+      WHERE m.matviewname = 'unified_docs_view'
+    `, {
+      type: this.db.Sequelize.QueryTypes.SELECT,
+    });
+  } catch (error) {
+    if (this.classifyDashboardQueryError(error) !== 'missing_table') {
+      throw error;
+    }
+    return { source: 'live', reason: 'missing' };
+  }
+
+  if (!freshness?.is_populated || !freshness.refreshed_at) {
+    return { source: 'live', reason: 'missing' };
+  }
+
+  const refreshedAt = new Date(freshness.refreshed_at);
+  const ageSeconds = (Date.now() - refreshedAt.getTime()) / 1000;
+  if (ageSeconds > stalenessBudget) {
+    return { source: 'live', reason: 'stale', refreshedAt };
+  }
+
+  return { source: 'unified_docs_view', refreshedAt };
+}
+
+// Same shape as buildUnifiedDocsCTE() so filters, ordering and paging work unchanged
+buildUnifiedDocsViewCTE({ timeFiltered = true } = {}) {
+  return `
+    WITH RECURSIVE unified_docs AS (
+      -- Precomputed union; the updated_at index keeps the time window cheap
+      SELECT
+        id, doc_type, ref_number, requestor_id, company_id, project_id, department_id,
+        updated_at, status, grouping_id, root_status, assigned_to_user_id, responsible_user_id,
+        approvers, status_since, root_created_at, created_at
+      FROM unified_docs_view
+      ${timeFiltered ? 'WHERE updated_at >= :timeStart AND updated_at < :timeEnd' : ''}
+    )
+  `;
+}
+
+// Intended for a scheduler; returns what the refresh changed
+async refreshUnifiedDocsView() {
+  const [stats] = await this.db.sequelize.query('SELECT * FROM refresh_unified_docs_view()', {
+    type: this.db.Sequelize.QueryTypes.SELECT,
+  });
+
+  return {
+    refreshedAt: stats.refreshed_at,
+    durationMs: parseFloat(stats.duration_ms),
+    rowCount: parseInt(stats.row_count),
+    rowsInserted: parseInt(stats.rows_inserted),
+    rowsUpdated: parseInt(stats.rows_updated),
+    rowsDeleted: parseInt(stats.rows_deleted),
+  };
+}
+
+// DDL for unified_docs_view; unified-docs-materialized-view.sql is generated from this
+buildUnifiedDocsViewDDL() {
+  const branches = this.getUnifiedDocTypeRegistry()
+    .map(definition => this.indentSql(this.buildUnifiedDocsBranch(definition, { timeFiltered: false }), 2));
+
+  return `CREATE MATERIALIZED VIEW unified_docs_view AS
+SELECT
+  -- Common fields
+  id,
+  doc_type,
+  ref_number,
+  requestor_id,
+  company_id,
+  project_id,
+  department_id,
+  updated_at,
+  status,
+  grouping_id,
+  root_status,
+  assigned_to_user_id,
+  responsible_user_id,
+  approvers,
+  status_since,
+  root_created_at,
+  created_at,
+
+  -- Additional computed fields for optimization
+  EXTRACT(YEAR FROM updated_at) AS year,
+  EXTRACT(MONTH FROM updated_at) AS month,
+  EXTRACT(WEEK FROM updated_at) AS week,
+  DATE_TRUNC('day', updated_at) AS day,
+
+  -- Status categories for faster filtering
+${this.indentSql(this.buildStatusCategoryExpression('status'), 2)} AS status_category,
+
+  -- Document type priority for sorting
+${this.indentSql(this.buildDocTypePriorityExpression('doc_type'), 2)} AS doc_type_priority
+
+FROM (
+${branches.join('\n\n  UNION ALL\n\n')}
+) all_docs;`;
+}
+
+// Status tracking for document aging and trends; dashboard-document-aging.sql is generated
+// from this. document_status_since keeps when each document entered its current status,
+// document_status_history every status change, since the document tables only carry updated_at.
+buildDocumentStatusTrackingDDL() {
+  const functions = this.getUnifiedDocTypeRegistry().map(({ docType, table }) => `CREATE OR REPLACE FUNCTION track_document_status_${table}() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    DELETE FROM document_status_since WHERE doc_type = '${docType}' AND doc_id = OLD.id;
+  ELSIF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+    VALUES ('${docType}', NEW.id, NEW.status, NOW())
+    ON CONFLICT (doc_type, doc_id) DO UPDATE
+    SET status = EXCLUDED.status, status_since = EXCLUDED.status_since;
+
+    INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+    VALUES ('${docType}', NEW.id, NEW.status, NOW());
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_document_status_since ON ${table};
+CREATE TRIGGER trg_document_status_since
+AFTER INSERT OR UPDATE OF status OR DELETE ON ${table}
+FOR EACH ROW EXECUTE FUNCTION track_document_status_${table}();`);
+
+  // Existing documents start from their last update, the closest known status change
+  const backfills = this.getUnifiedDocTypeRegistry().map(({ docType, table }) => `INSERT INTO document_status_since (doc_type, doc_id, status, status_since)
+SELECT '${docType}', id, status, COALESCE(updated_at, NOW()) FROM ${table}
+ON CONFLICT (doc_type, doc_id) DO NOTHING;
+
+INSERT INTO document_status_history (doc_type, doc_id, status, changed_at)
+SELECT '${docType}', id, status, COALESCE(updated_at, NOW()) FROM ${table} t
+WHERE NOT EXISTS (
+  SELECT 1 FROM document_status_history h WHERE h.doc_type = '${docType}' AND h.doc_id = t.id
+);`);
+
+  return [...functions, ...backfills].join('\n\n');
+}
+
+buildCategoryPagination(requestType, defaults, pagination = {}) {
+  const knownCategories = Object.keys(this.getDashboardTotalColumns());
+  if (requestType !== undefined && requestType !== null && !knownCategories.includes(requestType)) {
+    throw this.createBadRequestError(
+      `Unsupported requestType "${requestType}"; expected ${knownCategories.join(', ')}`,
+      { field: 'requestType' }
+    );
+  }
+
+  // The approval history tab is only returned when it is asked for by name
+  const categories = requestType === undefined || requestType === null
+    ? ['my_request', 'my_approval', 'all']
+    : knownCategories.filter(category => category === requestType);
+
+  // A top-level cursor belongs to the tab it was issued for
+  const defaultCursor = defaults.cursor ? this.decodeDashboardCursor(defaults.cursor) : null;
+
+  return categories.reduce((pages, category) => {
+    const overrides = pagination?.[category] || {};
+    const limit = parseInt(overrides.limit ?? defaults.limit);
+    const page = parseInt(overrides.page ?? defaults.page);
+    const order = overrides.order ?? defaults.order;
+    const sortSignature = this.getOrderSignature(order);
+
+    let cursor = null;
+    if (overrides.cursor) {
+      cursor = this.decodeDashboardCursor(overrides.cursor);
+    } else if (defaultCursor?.category === category) {
+      cursor = defaultCursor;
+    }
+
+    if (cursor && (cursor.category !== category || cursor.sortSignature !== sortSignature)) {
+      throw this.createBadRequestError(
+        `Cursor was issued for a different tab or sort order than the "${category}" tab request`
+      );
+    }
+
+    // Keyset pages start right after the cursor row, so OFFSET is never used with a cursor
+    pages[category] = {
+      page: cursor ? null : page,
+      limit,
+      offset: cursor ? 0 : (page - 1) * limit,
+      order,
+      sortSignature,
+      cursor,
+    };
+    return pages;
+  }, {});
+}
+
+encodeDashboardCursor({ category, sortSignature, values, direction }) {
+  return Buffer.from(JSON.stringify({
+    c: category,
+    s: sortSignature,
+    v: values,
+    d: direction,
+  })).toString('base64url');
+}
+
+decodeDashboardCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw this.createBadRequestError('Invalid pagination cursor');
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || !['next', 'prev'].includes(decoded.d)) {
+    throw this.createBadRequestError('Invalid pagination cursor');
+  }
+
+  return {
+    category: decoded.c,
+    sortSignature: decoded.s,
+    values: decoded.v,
+    direction: decoded.d,
+  };
+}
+
+createBadRequestError(message, details) {
+  return this.createDashboardError(400, message, details);
+}
+
+createForbiddenError(message, details) {
+  return this.createDashboardError(403, message, details);
+}
+
+createNotFoundError(message, details) {
+  return this.createDashboardError(404, message, details);
+}
+
+createDashboardError(status, message, details) {
+  const error = new Error(message);
+  error.name = 'DashboardQueryError';
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Time windows are resolved in the caller's timezone (default DASHBOARD_TIME_ZONE)
+// and returned as a half-open [start, end) range. Accepted timeRange values:
+// - legacy strings: '1 week', '1 month', '3 months', '6 months', '1 year'
+// - ISO-8601 durations ending now: 'P2W', 'P3M', 'P1Y6M', 'PT12H'
+// - presets: 'today', 'yesterday', 'this week', 'last week', 'this month',
+//   'last month', 'this quarter', 'last quarter', 'this year', 'last year',
+//   'this fiscal year', 'last fiscal year'
+// - explicit ranges: { from, to } as dates ('2025-01-31') or date-times
+// - 'all' (or 'all time') for no window at all
+buildTimeFilter(timeRange, specificDate, options = {}) {
+  const timeZone = options.timeZone || this.getDashboardTimeZone();
+  const fiscalYearStartMonth = this.getFiscalYearStartMonth(options.fiscalYearStartMonth);
+  this.assertValidTimeZone(timeZone);
+
+  if (specificDate) {
+    const { parts } = this.parseZonedDateInput(specificDate, timeZone, 'filterBy.updated_at');
+    return {
+      start: this.zonedTimeToUtc({ year: parts.year, month: parts.month, day: parts.day }, timeZone),
+      end: this.zonedTimeToUtc({ year: parts.year, month: parts.month, day: parts.day + 1 }, timeZone),
+      timeZone,
+    };
+  }
+
+  if (timeRange && typeof timeRange === 'object') {
+    return { ...this.resolveExplicitTimeRange(timeRange, timeZone), timeZone };
+  }
+
+  if (typeof timeRange === 'string' && ['all', 'all_time'].includes(timeRange.toLowerCase().trim().replace(/[\s_-]+/g, '_'))) {
+    return { start: null, end: null, timeZone, allTime: true };
+  }
+
+  const legacyDurations = {
+    '1 week': 'P1W',
+    '1 month': 'P1M',
+    '3 months': 'P3M',
+    '6 months': 'P6M',
+    '1 year': 'P1Y',
+  };
+  const range = typeof timeRange === 'string' ? timeRange.trim() : timeRange;
+  const duration = legacyDurations[range] || range;
+
+  if (typeof duration === 'string' && /^P/i.test(duration)) {
+    const end = new Date();
+    return { start: this.subtractIsoDuration(end, duration, timeZone), end, timeZone };
+  }
+
+  if (typeof range === 'string') {
+    const preset = this.resolveTimeRangePreset(range, timeZone, fiscalYearStartMonth);
+    if (preset) {
+      return { ...preset, timeZone };
+    }
+  }
+
+  throw this.createBadRequestError(
+    `Invalid timeRange "${typeof timeRange === 'string' ? timeRange : JSON.stringify(timeRange)}". ` +
+    'Use an ISO-8601 duration (e.g. P3M), a preset (e.g. "this quarter") or { from, to }',
+    { field: 'timeRange' }
+  );
+}
+
+// Picks the window actually applied to the unified docs union. Reference-number
+// searches ("RS-CLAA00000123", "PO-CL") look across all time unless the caller
+// asked for a specific window, so old documents are still found.
+resolveDashboardTimeWindow({ timeRange, filterBy, timeZone }) {
+  let reason = 'requested';
+  let range = timeRange;
+
+  if (filterBy?.updated_at) {
+    reason = 'updated_at';
+  } else if (timeRange === undefined && this.isRefNumberSearch(filterBy?.ref_number)) {
+    reason = 'ref_number_search';
+    range = 'all';
+  } else if (timeRange === undefined) {
+    reason = 'default';
+    range = '6 months';
+  }
+
+  const resolved = this.buildTimeFilter(range, filterBy?.updated_at, { timeZone });
+  return { allTime: false, ...resolved, reason };
+}
+
+isRefNumberSearch(searchTerm) {
+  if (typeof searchTerm !== 'string') {
+    return false;
+  }
+
+  const prefixes = this.getUnifiedDocTypeRegistry().map(definition => definition.refNumber.prefix);
+  return new RegExp(`^(${prefixes.join('|')})(-|\\d)`, 'i').test(searchTerm.trim());
+}
+
+getDashboardTimeZone() {
+  return process.env.DASHBOARD_TIME_ZONE || 'Asia/Manila';
+}
+
+// A bad month from the request is a 400; a bad FISCAL_YEAR_START_MONTH is a deployment
+// error and fails every dashboard request until it is fixed
+getFiscalYearStartMonth(requested) {
+  const fromRequest = requested !== undefined && requested !== null;
+  const raw = fromRequest ? requested : (process.env.FISCAL_YEAR_START_MONTH || '1');
+  const month = Number(raw);
+
+  if (Number.isInteger(month) && month >= 1 && month <= 12) {
+    return month;
+  }
+  if (fromRequest) {
+    throw this.createBadRequestError('fiscalYearStartMonth must be a month number from 1 to 12', {
+      field: 'fiscalYearStartMonth',
+    });
+  }
+  throw new Error(`FISCAL_YEAR_START_MONTH must be a month number from 1 to 12, got "${raw}"`);
+}
+
+assertValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw this.createBadRequestError(`Unknown timezone "${timeZone}"`, { field: 'timeZone' });
+  }
+}
+
+// Wall-clock parts of an instant in the given timezone
+getZonedDateParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const value = type => parseInt(parts.find(part => part.type === type).value);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+    millisecond: date.getUTCMilliseconds(),
+  };
+}
+
+// Instant at which the wall clock in timeZone shows the given parts. Out-of-range
+// parts roll over the way Date.UTC does (month 13 is January of the next year).
+zonedTimeToUtc({ year, month, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const offsetAt = (instant) => {
+    const parts = this.getZonedDateParts(new Date(instant), timeZone);
+    const zonedWallClock = Date.UTC(
+      parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond
+    );
+    return zonedWallClock - instant;
+  };
+
+  // Second pass corrects guesses that land on the other side of a DST change
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+}
+
+parseZonedDateInput(value, timeZone, field) {
+  const invalid = () => this.createBadRequestError(`Invalid date "${value}" for ${field}`, { field });
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw invalid();
+    }
+    return { instant: value, parts: this.getZonedDateParts(value, timeZone), dateOnly: false };
+  }
+  if (typeof value !== 'string') {
+    throw invalid();
+  }
+
+  // Date or local date-time without an offset: wall-clock time in timeZone
+  const local = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (local) {
+    const [, year, month, day, hour = '0', minute = '0', second = '0'] = local;
+    const parts = {
+      year: parseInt(year),
+      month: parseInt(month),
+      day: parseInt(day),
+      hour: parseInt(hour),
+      minute: parseInt(minute),
+      second: parseInt(second),
+    };
+    const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    if (check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day || parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+      throw invalid();
+    }
+    return { instant: this.zonedTimeToUtc(parts, timeZone), parts, dateOnly: local[4] === undefined };
+  }
+
+  // Anything else must carry its own offset (e.g. 2025-01-31T08:00:00+08:00)
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())) {
+    throw invalid();
+  }
+  const instant = new Date(value);
+  if (Number.isNaN(instant.getTime())) {
+    throw invalid();
+  }
+  return { instant, parts: this.getZonedDateParts(instant, timeZone), dateOnly: false };
+}
+
+resolveExplicitTimeRange(timeRange, timeZone) {
+  const { from, to, ...rest } = timeRange;
+  if (Object.keys(rest).length > 0 || from === undefined) {
+    throw this.createBadRequestError('timeRange object must be { from, to } with at least "from"', { field: 'timeRange' });
+  }
+
+  const start = this.parseZonedDateInput(from, timeZone, 'timeRange.from').instant;
+
+  let end = new Date();
+  if (to !== undefined) {
+    // A date-only "to" includes that whole day
+    const parsedTo = this.parseZonedDateInput(to, timeZone, 'timeRange.to');
+    end = parsedTo.dateOnly
+      ? this.zonedTimeToUtc({ year: parsedTo.parts.year, month: parsedTo.parts.month, day: parsedTo.parts.day + 1 }, timeZone)
+      : parsedTo.instant;
+  }
+
+  if (start >= end) {
+    throw this.createBadRequestError('timeRange.from must be before timeRange.to', { field: 'timeRange' });
+  }
+
+  return { start, end };
+}
+
+matchIsoDuration(duration) {
+  const match = duration.toUpperCase().match(
+    /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+  );
+  return !match || duration.toUpperCase() === 'P' || /T$/i.test(duration) ? null : match;
+}
+
+isIsoDuration(duration) {
+  return this.matchIsoDuration(duration) !== null;
+}
+
+subtractIsoDuration(end, duration, timeZone) {
+  const match = this.matchIsoDuration(duration);
+  if (!match) {
+    throw this.createBadRequestError(`Invalid ISO-8601 duration "${duration}"`, { field: 'timeRange' });
+  }
+
+  const [years, months, weeks, days, hours, minutes, seconds] = match.slice(1).map(part => parseInt(part || '0'));
+  const now = this.getZonedDateParts(end, timeZone);
+
+  // Calendar units step on the wall clock; the day is clamped so Mar 31 - P1M is Feb 28/29
+  const totalMonths = now.year * 12 + (now.month - 1) - (years * 12 + months);
+  const year = Math.floor(totalMonths / 12);
+  const month = (totalMonths % 12) + 1;
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  return this.zonedTimeToUtc({
+    year,
+    month,
+    day: Math.min(now.day, daysInMonth) - weeks * 7 - days,
+    hour: now.hour - hours,
+    minute: now.minute - minutes,
+    second: now.second - seconds,
+    millisecond: now.millisecond,
+  }, timeZone);
+}
+
+resolveTimeRangePreset(preset, timeZone, fiscalYearStartMonth) {
+  const normalized = preset.toLowerCase().trim().replace(/[\s_-]+/g, '_');
+  const today = this.getZonedDateParts(new Date(), timeZone);
+  const at = (year, month, day = 1) => this.zonedTimeToUtc({ year, month, day }, timeZone);
+
+  // Monday-based weeks
+  const weekday = new Date(Date.UTC(today.year, today.month - 1, today.day)).getUTCDay();
+  const weekStartDay = today.day - ((weekday + 6) % 7);
+
+  const quarterStartMonth = Math.floor((today.month - 1) / 3) * 3 + 1;
+
+  const fiscalStartYear = today.month >= fiscalYearStartMonth ? today.year : today.year - 1;
+
+  const presets = {
+    today: [at(today.year, today.month, today.day), at(today.year, today.month, today.day + 1)],
+    yesterday: [at(today.year, today.month, today.day - 1), at(today.year, today.month, today.day)],
+    this_week: [at(today.year, today.month, weekStartDay), at(today.year, today.month, weekStartDay + 7)],
+    last_week: [at(today.year, today.month, weekStartDay - 7), at(today.year, today.month, weekStartDay)],
+    this_month: [at(today.year, today.month), at(today.year, today.month + 1)],
+    last_month: [at(today.year, today.month - 1), at(today.year, today.month)],
+    this_quarter: [at(today.year, quarterStartMonth), at(today.year, quarterStartMonth + 3)],
+    last_quarter: [at(today.year, quarterStartMonth - 3), at(today.year, quarterStartMonth)],
+    this_year: [at(today.year, 1), at(today.year + 1, 1)],
+    last_year: [at(today.year - 1, 1), at(today.year, 1)],
+    this_fiscal_year: [at(fiscalStartYear, fiscalYearStartMonth), at(fiscalStartYear + 1, fiscalYearStartMonth)],
+    last_fiscal_year: [at(fiscalStartYear - 1, fiscalYearStartMonth), at(fiscalStartYear, fiscalYearStartMonth)],
+  };
+
+  if (!presets[normalized]) {
+    return null;
+  }
+
+  const [start, end] = presets[normalized];
+  return { start, end };
+}
+
+buildOptimizedFilters(filterBy, replacements, { timeZone = this.getDashboardTimeZone(), omitFields = [] } = {}) {
+  const conditions = [];
+
+  const knownFilterKeys = [
+    'ref_number', 'search', 'type', 'company', 'project_department', 'requestor',
+    'status', 'statuses', 'companies', 'updated_at', 'where',
+  ];
+  const unknownFilterKeys = Object.entries(filterBy || {})
+    .filter(([key, value]) => !knownFilterKeys.includes(key) && value !== undefined && value !== null && value !== '')
+    .map(([key]) => key);
+  if (unknownFilterKeys.length > 0) {
+    throw this.createBadRequestError(
+      `Unknown filterBy keys: ${unknownFilterKeys.join(', ')}`,
+      { fields: unknownFilterKeys }
+    );
+  }
+
+  const isPresent = value => value !== undefined && value !== null && value !== '';
+  const isIntegerId = value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+    && Number.isInteger(Number(value));
+  const nonStringKey = ['ref_number', 'type', 'company', 'project_department', 'requestor', 'status']
+    .find(key => isPresent(filterBy?.[key]) && typeof filterBy[key] !== 'string');
+  if (nonStringKey) {
+    throw this.createBadRequestError(`filterBy.${nonStringKey} must be a string`, { field: nonStringKey });
+  }
+  if (isPresent(filterBy?.statuses)
+    && (!Array.isArray(filterBy.statuses) || !filterBy.statuses.every(status => typeof status === 'string'))) {
+    throw this.createBadRequestError('filterBy.statuses must be an array of strings', { field: 'statuses' });
+  }
+  if (isPresent(filterBy?.companies)
+    && (!Array.isArray(filterBy.companies) || !filterBy.companies.every(isIntegerId))) {
+    throw this.createBadRequestError('filterBy.companies must be an array of company ids', { field: 'companies' });
+  }
+
+  // Reference numbers (RS-..., PO...) are searched across all time, so they only match
+  // ref_number itself, exactly or by prefix, instead of scanning every text column
+  if (filterBy?.ref_number && this.isRefNumberSearch(filterBy.ref_number)) {
+    conditions.push(`ud.ref_number ILIKE :ref_number_prefix ESCAPE '\\'`);
+    replacements.ref_number_prefix = `${filterBy.ref_number.trim().replace(/[\\%_]/g, match => `\\${match}`)}%`;
+  } else if (filterBy?.ref_number) {
+    const normalizedSearchTerm = filterBy.ref_number.toLowerCase().replace(/[.\s]/g, '');
+    const typeMapping = this.getDocumentTypeMapping();
+
+    // Optimized search with proper indexing hints
+    const searchConditions = [
+      `ud.ref_number ILIKE :ref_number_gsv`,
+      `ud.doc_type ILIKE :ref_number_gsv`,
+      `c.name ILIKE :ref_number_gsv`,
+      `CONCAT(u.first_name, ' ', u.last_name) ILIKE :ref_number_gsv`,
+      `ud.status ILIKE :ref_number_gsv`
+    ];
+
+    const mappedType = typeMapping[normalizedSearchTerm];
+    if (mappedType) {
+      searchConditions.push(`ud.doc_type = :ref_number_type`);
+      replacements.ref_number_type = mappedType;
+    }
+
+    conditions.push(`(${searchConditions.join(' OR ')})`);
+    replacements.ref_number_gsv = `%${filterBy.ref_number}%`;
+  }
+
+  // Ranked search: matches by ref number (exact, prefix, substring) or by name, with a
+  // trigram fallback for typos. Ordered by relevance unless another order is given.
+  if (filterBy?.search) {
+    const search = this.normalizeDashboardSearch(filterBy.search);
+    Object.assign(replacements, {
+      search_term: search.term,
+      search_key: search.key,
+      search_key_prefix: `${search.key}%`,
+      search_key_contains: `%${search.key}%`,
+      search_contains: `%${search.term.replace(/[\\%_]/g, match => `\\${match}`)}%`,
+    });
+    conditions.push(this.buildDashboardSearchCondition());
+  }
+
+  if (filterBy?.type) {
+    const normalizedType = filterBy.type.toLowerCase().replace(/[.\s]/g, '');
+    const typeMapping = this.getDocumentTypeMapping();
+    const mappedType = typeMapping[normalizedType];
+
+    if (mappedType) {
+      conditions.push(`ud.doc_type = :type`);
+      replacements.type = mappedType;
+    } else {
+      conditions.push(`ud.doc_type ILIKE :type`);
+      replacements.type = filterBy.type;
+    }
+  }
+
+  if (filterBy?.company) {
+    conditions.push(`c.name ILIKE :company`);
+    replacements.company = `%${filterBy.company}%`;
+  }
+
+  if (filterBy?.project_department) {
+    conditions.push(`(d.name ILIKE :project_department_search OR p.name ILIKE :project_department_search)`);
+    replacements.project_department_search = `%${filterBy.project_department.trim()}%`;
+  }
+
+  if (filterBy?.requestor) {
+    conditions.push(`CONCAT(u.first_name, ' ', u.last_name) ILIKE :requestor`);
+    replacements.requestor = `%${filterBy.requestor}%`;
+  }
+
+  if (filterBy?.status) {
+    conditions.push(`ud.status ILIKE :status`);
+    replacements.status = `%${filterBy.status}%`;
+  }
+
+  if (filterBy?.statuses?.length > 0) {
+    conditions.push(`ud.status IN (:statuses)`);
+    replacements.statuses = filterBy.statuses;
+  }
+
+  if (filterBy?.companies?.length > 0) {
+    conditions.push(`ud.company_id IN (:companies)`);
+    replacements.companies = filterBy.companies;
+  }
+
+  if (filterBy?.where) {
+    conditions.push(this.buildFilterExpression(filterBy.where, replacements, { index: 0, count: 0, timeZone, omitFields }));
+  }
+
+  return conditions;
+}
+
+// The ref number is compared without case or separators, so "rs12", "RS 12" and
+// "RS-12" are the same key. Names are matched in their own tables (lookup), where the
+// trigram indexes in timescaledb-optimization-indexes.sql apply.
+getDashboardSearchFields() {
+  // Same expression as idx_users_fullname_trgm (CONCAT is not IMMUTABLE, so it cannot be indexed)
+  const fullName = alias => `(${alias}first_name || ' ' || ${alias}last_name)`;
+
+  return [
+    { field: 'ref_number', expression: `LOWER(REGEXP_REPLACE(ud.ref_number, '[^a-zA-Z0-9]', '', 'g'))`, normalized: true },
+    {
+      field: 'requestor_name',
+      expression: fullName('u.'),
+      lookup: { idColumn: 'ud.requestor_id', table: 'users', column: fullName('') },
+    },
+    {
+      field: 'assigned_to_user_name',
+      expression: fullName('assignee_u.'),
+      lookup: { idColumn: 'ud.assigned_to_user_id', table: 'users', column: fullName('') },
+    },
+    { field: 'company_name', expression: 'c.name', lookup: { idColumn: 'ud.company_id', table: 'companies', column: 'name' } },
+    { field: 'project_name', expression: 'p.name', lookup: { idColumn: 'ud.project_id', table: 'projects', column: 'name' } },
+    { field: 'department_name', expression: 'd.name', lookup: { idColumn: 'ud.department_id', table: 'departments', column: 'name' } },
+  ];
+}
+
+// Substring or word-similarity match (the <% operator, so pg_trgm.word_similarity_threshold
+// sets how fuzzy) on the ref number or any name. Names are looked up by id so the GIN
+// trigram indexes on the name tables serve the ILIKE and <% checks.
+buildDashboardSearchCondition() {
+  const fields = this.getDashboardSearchFields();
+  const [refNumber] = fields.filter(field => field.normalized);
+  const nameMatches = fields
+    .filter(field => field.lookup)
+    .map(({ lookup: { idColumn, table, column } }) => `${idColumn} IN (
+        SELECT id FROM ${table}
+        WHERE ${column} ILIKE :search_contains ESCAPE '\\' OR :search_term <% ${column}
+      )`);
+
+  return `(
+      ${refNumber.expression} LIKE :search_key_contains
+      OR :search_key <% ${refNumber.expression}
+      OR ${nameMatches.join('\n      OR ')}
+    )`;
+}
+
+normalizeDashboardSearch(search) {
+  const term = typeof search === 'string' ? search.trim().toLowerCase() : '';
+  const key = term.replace(/[^a-z0-9]/g, '');
+  if (key.length < 2) {
+    throw this.createBadRequestError('filterBy.search needs at least two letters or digits', { field: 'search' });
+  }
+  return { term, key };
+}
+
+// Relevance of rows that passed buildDashboardSearchCondition(). tier: 3 exact ref number,
+// 2 ref number prefix, 1 substring of the ref number or a name, 0 otherwise.
+// similarity: best trigram word similarity (0-1) over all fields.
+buildDashboardSearchExpressions() {
+  const fields = this.getDashboardSearchFields();
+  const [refNumber] = fields.filter(field => field.normalized);
+  const names = fields.filter(field => !field.normalized);
+
+  const tier = `(CASE
+        WHEN ${refNumber.expression} = :search_key THEN 3
+        WHEN ${refNumber.expression} LIKE :search_key_prefix THEN 2
+        WHEN ${refNumber.expression} LIKE :search_key_contains
+          OR ${names.map(({ expression }) => `${expression} ILIKE :search_contains ESCAPE '\\'`).join('\n          OR ')} THEN 1
+        ELSE 0
+      END)`;
+  const similarity = `GREATEST(
+        ${fields.map(({ expression, normalized }) =>
+    `word_similarity(${normalized ? ':search_key' : ':search_term'}, LOWER(${expression}))`
+  ).join(',\n        ')}
+      )`;
+
+  // Rounded to numeric so keyset cursors compare the exact value they were issued with
+  return { tier, similarity, rank: `ROUND(CAST(${tier} + ${similarity} AS NUMERIC), 4)` };
+}
+
+// Rows of a search response say which field matched, how, and where: [start, end)
+// character ranges in that field's value. Fuzzy matches name the closest field only.
+annotateDashboardSearchMatches(response, search) {
+  const { term, key } = this.normalizeDashboardSearch(search);
+  const fields = this.getDashboardSearchFields();
+
+  const findMatch = (row) => {
+    const refNumber = row.ref_number || '';
+    // Positions of the letters and digits the normalized key was built from
+    const refPositions = [...refNumber].map((character, index) => (/[a-z0-9]/i.test(character) ? index : -1))
+      .filter(index => index >= 0);
+    const refKey = refPositions.map(index => refNumber[index]).join('').toLowerCase();
+    const refStart = refKey.indexOf(key);
+    if (refStart >= 0) {
+      let matchType = 'contains';
+      if (refKey === key) {
+        matchType = 'exact';
+      } else if (refStart === 0) {
+        matchType = 'prefix';
+      }
+      return {
+        field: 'ref_number',
+        matchType,
+        ranges: [[refPositions[refStart], refPositions[refStart + key.length - 1] + 1]],
+      };
+    }
+
+    for (const { field } of fields.filter(candidate => !candidate.normalized)) {
+      const start = String(row[field] ?? '').toLowerCase().indexOf(term);
+      if (start >= 0) {
+        return { field, matchType: 'contains', ranges: [[start, start + term.length]] };
+      }
+    }
+
+    const [closest] = fields
+      .map(({ field, normalized }) => ({
+        field,
+        score: this.trigramSimilarity(normalized ? key : term, normalized ? refKey : String(row[field] ?? '').toLowerCase()),
+      }))
+      .sort((left, right) => right.score - left.score);
+    return { field: closest.field, matchType: 'fuzzy', ranges: [] };
+  };
+
+  const annotate = (rows) => rows.forEach(row => {
+    row.search_match = findMatch(row);
+    annotate(row.children || []);
+  });
+  Object.entries(response)
+    .filter(([category, rows]) => category !== 'meta' && Array.isArray(rows))
+    .forEach(([, rows]) => annotate(rows));
+  return response;
+}
+
+// Close enough to pg_trgm's word_similarity to pick the field a fuzzy match came from
+trigramSimilarity(term, text) {
+  const trigrams = (value) => {
+    const result = new Set();
+    value.split(/[^a-z0-9]+/).filter(Boolean).forEach(word => {
+      const padded = `  ${word} `;
+      for (let index = 0; index < padded.length - 2; index += 1) {
+        result.add(padded.slice(index, index + 3));
+      }
+    });
+    return result;
+  };
+
+  const termTrigrams = trigrams(term);
+  if (termTrigrams.size === 0) {
+    return 0;
+  }
+  const textTrigrams = trigrams(text);
+  const shared = [...termTrigrams].filter(trigram => textTrigrams.has(trigram)).length;
+  return shared / termTrigrams.size;
+}
+
+// A search without an explicit order is ranked by relevance
+resolveDashboardOrder(order, filterBy) {
+  const hasOrder = order && Object.keys(order).length > 0;
+  if (hasOrder && Object.keys(order)[0] === 'relevance' && !filterBy?.search) {
+    throw this.createBadRequestError('Ordering by relevance needs filterBy.search', { field: 'order' });
+  }
+  if (!hasOrder && filterBy?.search) {
+    return { relevance: 'desc' };
+  }
+  return order;
+}
+
+// Filter DSL for filterBy.where. A node is either a condition
+// { field, op, value } or a group { and: [...] } / { or: [...] }.
+// Every value is bound as a replacement; anything outside the schema is rejected.
+getDashboardFilterFields() {
+  return {
+    requestor: {
+      idColumn: 'ud.requestor_id',
+      textColumn: `CONCAT(u.first_name, ' ', u.last_name)`,
+      operators: ['eq', 'in', 'contains', 'startsWith'],
+    },
+    assignee: {
+      idColumn: 'ud.assigned_to_user_id',
+      textColumn: `CONCAT(assignee_u.first_name, ' ', assignee_u.last_name)`,
+      operators: ['eq', 'in', 'contains', 'startsWith', 'isNull', 'isNotNull'],
+    },
+    project: {
+      idColumn: 'ud.project_id',
+      textColumn: 'p.name',
+      operators: ['eq', 'in', 'contains', 'startsWith', 'isNull', 'isNotNull'],
+    },
+    department: {
+      idColumn: 'ud.department_id',
+      textColumn: 'd.name',
+      operators: ['eq', 'in', 'contains', 'startsWith', 'isNull', 'isNotNull'],
+    },
+    company: {
+      idColumn: 'ud.company_id',
+      textColumn: 'c.name',
+      operators: ['eq', 'in', 'contains', 'startsWith', 'isNull', 'isNotNull'],
+    },
+    status: {
+      valueColumn: 'ud.status',
+      textColumn: 'ud.status',
+      operators: ['eq', 'in', 'contains', 'startsWith', 'isNull', 'isNotNull'],
+    },
+    doc_type: {
+      valueColumn: 'ud.doc_type',
+      operators: ['eq', 'in'],
+    },
+    updated_at: {
+      rangeColumn: 'ud.updated_at',
+      operators: ['range'],
+    },
+    // Aging filters take an ISO-8601 duration: { field: 'time_in_status', op: 'gt', value: 'P3D' }
+    time_in_status: {
+      sinceColumn: 'ud.status_since',
+      operators: ['gt', 'lt'],
+    },
+    age: {
+      sinceColumn: 'ud.root_created_at',
+      operators: ['gt', 'lt'],
+    },
+    sla_status: {
+      valueColumn: this.buildSlaStatusExpression(),
+      operators: ['eq', 'in', 'isNull', 'isNotNull'],
+    },
+  };
+}
+
+buildFilterExpression(node, replacements, state = { index: 0, count: 0, timeZone: this.getDashboardTimeZone() }, path = 'where', depth = 0) {
+  if (depth > 5) {
+    throw this.createBadRequestError(`Filter groups are nested too deeply at ${path}`, { path });
+  }
+
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw this.createBadRequestError(`Filter at ${path} must be a condition or an and/or group`, { path });
+  }
+
+  const groupKeys = ['and', 'or'].filter(key => key in node);
+  if (groupKeys.length > 0) {
+    const [groupKey] = groupKeys;
+    const members = node[groupKey];
+
+    if (groupKeys.length > 1 || Object.keys(node).length > 1) {
+      throw this.createBadRequestError(`Filter group at ${path} must have exactly one of "and" or "or"`, { path });
+    }
+    if (!Array.isArray(members) || members.length === 0) {
+      throw this.createBadRequestError(`Filter group ${path}.${groupKey} must be a non-empty array`, { path });
+    }
+
+    // Only conditions ANDed into the whole filter can be omitted: one inside an "or"
+    // group can't be taken out without changing what its other members match
+    const { omitFields } = state;
+    if (groupKey === 'or') {
+      state.omitFields = [];
+    }
+    const expressions = members.map((member, index) =>
+      this.buildFilterExpression(member, replacements, state, `${path}.${groupKey}[${index}]`, depth + 1)
+    );
+    state.omitFields = omitFields;
+    return `(${expressions.join(groupKey === 'and' ? ' AND ' : ' OR ')})`;
+  }
+
+  state.count += 1;
+  if (state.count > 50) {
+    throw this.createBadRequestError('Filter has more than 50 conditions', { path });
+  }
+
+  // Conditions on an omitted field (a facet's own field) still bind their values,
+  // so filter_N names stay the same as in the main query, but match everything
+  const condition = this.buildFilterCondition(node, replacements, state, path);
+  return state.omitFields?.includes(node.field) ? 'TRUE' : condition;
+}
+
+buildFilterCondition(condition, replacements, state, path) {
+  const { field, op, value } = condition;
+  const fields = this.getDashboardFilterFields();
+  const definition = fields[field];
+
+  const unknownKeys = Object.keys(condition).filter(key => !['field', 'op', 'value'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw this.createBadRequestError(`Unknown filter keys at ${path}: ${unknownKeys.join(', ')}`, { path });
+  }
+  if (!definition) {
+    throw this.createBadRequestError(
+      `Unknown filter field "${field}" at ${path}. Allowed fields: ${Object.keys(fields).join(', ')}`,
+      { path, field }
+    );
+  }
+  if (!definition.operators.includes(op)) {
+    throw this.createBadRequestError(
+      `Operator "${op}" is not supported for "${field}" at ${path}. Allowed operators: ${definition.operators.join(', ')}`,
+      { path, field, op }
+    );
+  }
+
+  const bind = (boundValue) => {
+    const name = `filter_${state.index}`;
+    state.index += 1;
+    replacements[name] = boundValue;
+    return `:${name}`;
+  };
+  const invalidValue = (expected) => this.createBadRequestError(
+    `Filter "${field} ${op}" at ${path} expects ${expected}`,
+    { path, field, op }
+  );
+
+  const valueColumn = definition.idColumn || definition.valueColumn;
+  const normalizeValue = (item) => this.normalizeFilterValue(field, definition, item, invalidValue);
+
+  switch (op) {
+    case 'eq':
+      return `${valueColumn} = ${bind(normalizeValue(value))}`;
+    case 'in':
+      if (!Array.isArray(value) || value.length === 0) {
+        throw invalidValue('a non-empty array');
+      }
+      return `${valueColumn} IN (${bind(value.map(normalizeValue))})`;
+    case 'contains':
+    case 'startsWith': {
+      if (typeof value !== 'string' || value.trim() === '') {
+        throw invalidValue('a non-empty string');
+      }
+      const escaped = value.trim().replace(/[\\%_]/g, match => `\\${match}`);
+      const pattern = op === 'contains' ? `%${escaped}%` : `${escaped}%`;
+      return `${definition.textColumn} ILIKE ${bind(pattern)} ESCAPE '\\'`;
+    }
+    case 'isNull':
+    case 'isNotNull':
+      if (value !== undefined) {
+        throw invalidValue('no value');
+      }
+      return `${valueColumn} IS ${op === 'isNull' ? '' : 'NOT '}NULL`;
+    case 'range': {
+      const { from, to, ...rest } = value || {};
+      if (!value || typeof value !== 'object' || Object.keys(rest).length > 0 || (from === undefined && to === undefined)) {
+        throw invalidValue('{ from, to } with at least one date');
+      }
+
+      const bounds = [];
+      if (from !== undefined) {
+        const start = this.parseZonedDateInput(from, state.timeZone, `${path}.value.from`).instant;
+        bounds.push(`${definition.rangeColumn} >= ${bind(start)}`);
+      }
+      if (to !== undefined) {
+        // A date-only "to" includes that whole day, as in timeRange
+        const parsedTo = this.parseZonedDateInput(to, state.timeZone, `${path}.value.to`);
+        const end = parsedTo.dateOnly
+          ? this.zonedTimeToUtc({ year: parsedTo.parts.year, month: parsedTo.parts.month, day: parsedTo.parts.day + 1 }, state.timeZone)
+          : parsedTo.instant;
+        bounds.push(`${definition.rangeColumn} ${parsedTo.dateOnly ? '<' : '<='} ${bind(end)}`);
+      }
+      return `(${bounds.join(' AND ')})`;
+    }
+    case 'gt':
+    case 'lt': {
+      if (typeof value !== 'string' || !this.isIsoDuration(value)) {
+        throw invalidValue('an ISO-8601 duration such as P3D or PT12H');
+      }
+      // Older than the duration means the timestamp is before NOW() minus it
+      const operator = op === 'gt' ? '<' : '>';
+      return `${definition.sinceColumn} ${operator} NOW() - CAST(${bind(value.toUpperCase())} AS INTERVAL)`;
+    }
+    default:
+      throw invalidValue('a supported operator');
+  }
+}
+
+normalizeFilterValue(field, definition, value, invalidValue) {
+  if (definition.idColumn) {
+    const id = Number(value);
+    if (value === null || value === '' || !Number.isInteger(id)) {
+      throw invalidValue('integer ids');
+    }
+    return id;
+  }
+
+  if (typeof value !== 'string' || value === '') {
+    throw invalidValue('non-empty strings');
+  }
+
+  if (field === 'sla_status' && !this.getDashboardSlaStatuses().includes(value)) {
+    throw invalidValue(`one of ${this.getDashboardSlaStatuses().join(', ')}`);
+  }
+
+  if (field === 'doc_type') {
+    const match = this.getUnifiedDocTypeRegistry().find(entry => entry.docType === value || entry.label === value);
+    if (!match) {
+      throw invalidValue(`one of ${this.getUnifiedDocTypeRegistry().map(entry => entry.docType).join(', ')}`);
+    }
+    return match.docType;
+  }
+
+  return value;
+}
+
+buildOptimizedOrderClause(order, { reverse = false } = {}) {
+  const orderKeys = this.buildOptimizedOrderKeys(order);
+
+  return `ORDER BY ${orderKeys
+    .map(({ expression, direction }) => `${expression} ${this.resolveSortDirection(direction, reverse)}`)
+    .join(', ')}`;
+}
+
+// Every key list ends in a unique (doc type, id) pair so keyset cursors never skip ties
+buildOptimizedOrderKeys(order) {
+  const docTypeOrder = this.buildDocTypePriorityExpression();
+
+  if (!order || Object.keys(order).length === 0) {
+    return [
+      { expression: `CASE WHEN ud.root_status = 'closed' THEN 2 ELSE 1 END`, direction: 'ASC' },
+      { expression: 'ud.updated_at', direction: 'DESC' },
+      { expression: 'ud.grouping_id', direction: 'ASC' },
+      { expression: 'ud.id', direction: 'ASC' },
+      { expression: docTypeOrder, direction: 'ASC' },
+    ];
+  }
+
+  const [field, direction] = Object.entries(order)[0];
+  const sortDirection = direction?.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+  // Nullable keys are coalesced so keyset comparisons never hit NULL
+  switch (field) {
+    case 'ref_number':
+      return [
+        { expression: 'ud.ref_number', direction: sortDirection },
+        { expression: 'ud.id', direction: 'ASC' },
+        { expression: docTypeOrder, direction: 'ASC' },
+      ];
+    case 'doc_type':
+      return [
+        { expression: docTypeOrder, direction: sortDirection },
+        { expression: 'ud.id', direction: 'ASC' },
+      ];
+    case 'requestor':
+      return [
+        { expression: docTypeOrder, direction: 'ASC' },
+        { expression: `CONCAT(u.first_name, ' ', u.last_name)`, direction: sortDirection },
+        { expression: 'ud.id', direction: 'ASC' },
+      ];
+    case 'company':
+      return [
+        { expression: docTypeOrder, direction: 'ASC' },
+        { expression: `COALESCE(c.name, '')`, direction: sortDirection },
+        { expression: 'ud.id', direction: 'ASC' },
+      ];
+    case 'updated_at':
+    case 'updatedAt':
+      return [
+        { expression: docTypeOrder, direction: 'ASC' },
+        { expression: 'ud.updated_at', direction: sortDirection },
+        { expression: 'ud.id', direction: 'ASC' },
+      ];
+    case 'status':
+      return [
+        { expression: docTypeOrder, direction: 'ASC' },
+        { expression: `COALESCE(ud.status, '')`, direction: sortDirection },
+        { expression: 'ud.id', direction: 'ASC' },
+      ];
+    case 'relevance':
+      return [
+        { expression: this.buildDashboardSearchExpressions().rank, direction: sortDirection },
+        { expression: 'ud.id', direction: 'ASC' },
+        { expression: docTypeOrder, direction: 'ASC' },
+      ];
+    // Aging sorts on the start timestamp (oldest first for DESC) so cursors stay valid as time passes
+    case 'time_in_status':
+      return [
+        { expression: 'ud.status_since', direction: this.resolveSortDirection(sortDirection, true) },
+        { expression: 'ud.id', direction: 'ASC' },
+        { expression: docTypeOrder, direction: 'ASC' },
+      ];
+    case 'age':
+      return [
+        { expression: 'COALESCE(ud.root_created_at, ud.status_since)', direction: this.resolveSortDirection(sortDirection, true) },
+        { expression: 'ud.id', direction: 'ASC' },
+        { expression: docTypeOrder, direction: 'ASC' },
+      ];
+    default:
+      return [
+        { expression: docTypeOrder, direction: 'ASC' },
+        { expression: 'ud.updated_at', direction: 'DESC' },
+        { expression: 'ud.id', direction: 'ASC' },
+      ];
+  }
+}
+
+resolveSortDirection(direction, reverse) {
+  if (!reverse) {
+    return direction;
+  }
+  return direction === 'ASC' ? 'DESC' : 'ASC';
+}
+
+getOrderSignature(order) {
+  if (!order || Object.keys(order).length === 0) {
+    return 'default';
+  }
+
+  const [field, direction] = Object.entries(order)[0];
+  return `${field}:${direction?.toUpperCase() === 'ASC' ? 'ASC' : 'DESC'}`;
+}
+
+// Expands (k1, k2, ...) > (:v1, :v2, ...) for keys that mix ASC and DESC
+buildKeysetCondition(orderKeys, category, reverse) {
+  const branches = orderKeys.map((key, index) => {
+    const operator = this.resolveSortDirection(key.direction, reverse) === 'ASC' ? '>' : '<';
+    const equalities = orderKeys
+      .slice(0, index)
+      .map((previousKey, previousIndex) => `${previousKey.expression} = :${category}_cursor_${previousIndex}`);
+
+    return `(${[...equalities, `${key.expression} ${operator} :${category}_cursor_${index}`].join(' AND ')})`;
+  });
+
+  return `(${branches.join(' OR ')})`;
+}
+
+buildDashboardFromClause(docsTable, baseFilterClause = '') {
+  return `
+    FROM ${docsTable} ud
+    LEFT JOIN users u ON ud.requestor_id = u.id
+    LEFT JOIN companies c ON ud.company_id = c.id
+    LEFT JOIN projects p ON ud.project_id = p.id
+    LEFT JOIN departments d ON ud.department_id = d.id
+    LEFT JOIN users assignee_u ON ud.assigned_to_user_id = assignee_u.id
+    LEFT JOIN users responsible_u ON ud.responsible_user_id = responsible_u.id
+    WHERE 1=1 ${baseFilterClause}
+  `;
+}
+
+buildDashboardDataColumns() {
+  return `
+    ud.id, ud.doc_type, ud.ref_number, ud.requestor_id,
+    CONCAT(u.first_name, ' ', u.last_name) AS requestor_name,
+    ud.company_id, c.name AS company_name,
+    ud.project_id, p.name AS project_name,
+    ud.department_id, d.name AS department_name,
+    ud.updated_at, ud.status, ud.approvers, ud.grouping_id,
+    ud.root_status, ud.assigned_to_user_id,
+    CONCAT(assignee_u.first_name, ' ', assignee_u.last_name) AS assigned_to_user_name,
+    ud.responsible_user_id,
+    CONCAT(responsible_u.first_name, ' ', responsible_u.last_name) AS responsible_user_name,
+    ud.status_since, ud.root_created_at,
+    CAST(EXTRACT(EPOCH FROM NOW() - ud.status_since) AS INTEGER) AS time_in_status_seconds,
+    CAST(EXTRACT(EPOCH FROM NOW() - ud.root_created_at) AS INTEGER) AS age_seconds,
+    ${this.buildSlaStatusExpression()} AS sla_status
+  `;
+}
+
+// Hours a document may stay in a status before it is at risk / breached, per doc type.
+// DASHBOARD_SLA_THRESHOLDS overrides the defaults with the same JSON shape; "*" matches
+// any status of the doc type. Statuses without a threshold get no SLA status.
+getDashboardSlaConfig() {
+  const defaults = {
+    requisition: {
+      assigning: { atRiskHours: 24, breachedHours: 48 },
+      for_rs_approval: { atRiskHours: 48, breachedHours: 72 },
+    },
+    canvass: { for_cs_approval: { atRiskHours: 48, breachedHours: 72 } },
+    purchase_order: { for_po_approval: { atRiskHours: 48, breachedHours: 72 } },
+    payment_request: { 'For PR Approval': { atRiskHours: 48, breachedHours: 72 } },
+    non_requisition: { for_approval: { atRiskHours: 48, breachedHours: 72 } },
+  };
+
+  const raw = process.env.DASHBOARD_SLA_THRESHOLDS || '';
+  if (!raw) {
+    return { thresholds: defaults };
+  }
+
+  // Parsed and checked once per value; a bad override is reported once and ignored
+  const cached = this.constructor.dashboardSlaConfig;
+  if (cached?.raw === raw) {
+    return cached.config;
+  }
+
+  let config;
+  try {
+    config = { thresholds: this.validateDashboardSlaThresholds(JSON.parse(raw)) };
+  } catch (error) {
+    console.error('Ignoring invalid DASHBOARD_SLA_THRESHOLDS:', error.message);
+    config = { thresholds: defaults };
+  }
+  this.constructor.dashboardSlaConfig = { raw, config };
+  return config;
+}
+
+// { docType: { status | '*': { atRiskHours, breachedHours } } } with positive hours
+validateDashboardSlaThresholds(thresholds) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(thresholds)) {
+    throw new Error('expected an object keyed by doc type');
+  }
+
+  Object.entries(thresholds).forEach(([docType, statuses]) => {
+    if (!this.getUnifiedDocType(docType)) {
+      throw new Error(`unknown doc type "${docType}"`);
+    }
+    if (!isObject(statuses)) {
+      throw new Error(`${docType} must be an object keyed by status`);
+    }
+
+    Object.entries(statuses).forEach(([status, levels]) => {
+      const where = `${docType}.${status}`;
+      if (!isObject(levels)) {
+        throw new Error(`${where} must be { atRiskHours, breachedHours }`);
+      }
+      const unknownKeys = Object.keys(levels).filter(key => !['atRiskHours', 'breachedHours'].includes(key));
+      if (unknownKeys.length > 0) {
+        throw new Error(`${where} has unknown keys: ${unknownKeys.join(', ')}`);
+      }
+
+      const { atRiskHours, breachedHours } = levels;
+      [['atRiskHours', atRiskHours], ['breachedHours', breachedHours]].forEach(([key, hours]) => {
+        if (hours !== undefined && !(typeof hours === 'number' && Number.isFinite(hours) && hours > 0)) {
+          throw new Error(`${where}.${key} must be a positive number of hours`);
+        }
+      });
+      if (atRiskHours === undefined && breachedHours === undefined) {
+        throw new Error(`${where} needs atRiskHours or breachedHours`);
+      }
+      if (atRiskHours !== undefined && breachedHours !== undefined && atRiskHours >= breachedHours) {
+        throw new Error(`${where}.atRiskHours must be below breachedHours`);
+      }
+    });
+  });
+
+  return thresholds;
+}
+
+getDashboardSlaStatuses() {
+  return ['on_track', 'at_risk', 'breached'];
+}
+
+// on_track / at_risk / breached from the time in the current status, NULL without an SLA.
+// Exact statuses are matched before a doc type's "*" entry.
+buildSlaStatusExpression() {
+  const { thresholds } = this.getDashboardSlaConfig();
+  const branches = [];
+
+  // Thresholds are validated in getDashboardSlaConfig, so every entry has at least one level
+  Object.entries(thresholds).forEach(([docType, statuses]) => {
+    Object.entries(statuses)
+      .sort(([left], [right]) => Number(left === '*') - Number(right === '*'))
+      .forEach(([status, { atRiskHours, breachedHours }]) => {
+        const levels = [['breached', breachedHours], ['at_risk', atRiskHours]]
+          .filter(([, hours]) => hours !== undefined)
+          .map(([level, hours]) => `WHEN ud.status_since <= NOW() - INTERVAL '${Number(hours)} hours' THEN '${level}'`);
+
+        const statusCondition = status === '*' ? '' : ` AND ud.status = '${status.replace(/'/g, "''")}'`;
+        branches.push(`WHEN ud.doc_type = '${docType}'${statusCondition} THEN CASE ${levels.join(' ')} ELSE 'on_track' END`);
+      });
+  });
+
+  return branches.length > 0 ? `CASE ${branches.join('\n      ')} END` : 'CAST(NULL AS TEXT)';
+}
+
+buildSingleOptimizedQuery(unifiedDocsCTE, baseFilterClause, categoryPages, role, { includeTotals = true } = {}) {
+  const baseFrom = this.buildDashboardFromClause('unified_docs', baseFilterClause);
+
+  // One ORDER BY / LIMIT / OFFSET per tab so each page lines up with its own total
+  const categoryQueries = Object.entries(categoryPages).map(([category, categoryPage]) => {
+    const orderKeys = this.buildOptimizedOrderKeys(categoryPage.order);
+    const categoryCondition = this.buildRequestCategoryCondition(category, role);
+
+    // Paging backwards walks the reversed order; category_position restores the display order
+    const reverse = categoryPage.cursor?.direction === 'prev';
+    const orderClause = this.buildOptimizedOrderClause(categoryPage.order, { reverse });
+    const keysetCondition = categoryPage.cursor
+      ? `AND ${this.buildKeysetCondition(orderKeys, category, reverse)}`
+      : '';
+
+    return `(
+      SELECT
+        -- Data columns
+        ${this.buildDashboardDataColumns()},
+
+        -- Request type indicator and position within that tab
+        '${category}' AS request_category,
+        ROW_NUMBER() OVER (${this.buildOptimizedOrderClause(categoryPage.order)}) AS category_position,
+        JSON_BUILD_ARRAY(${orderKeys.map(key => key.expression).join(', ')}) AS sort_keys
+      ${baseFrom}
+      ${categoryCondition ? `AND ${categoryCondition}` : ''}
+      ${keysetCondition}
+      ${orderClause}
+      LIMIT :${category}_limit OFFSET :${category}_offset
+    )`;
+  });
+
+  // Export batches skip the totals; counting the whole set per batch adds nothing
+  if (!includeTotals) {
+    return `
+    ${unifiedDocsCTE},
+    page_rows AS (
+      ${categoryQueries.join(' UNION ALL ')}
+    )
+    SELECT page_rows.*
+    FROM page_rows
+    ORDER BY page_rows.request_category, page_rows.category_position
+  `;
+  }
+
+  // Totals are counted over the same filtered set the pages are cut from.
+  // The LEFT JOIN keeps the totals row even when a requested page is past the end.
+  return `
+    ${unifiedDocsCTE},
+    page_rows AS (
+      ${categoryQueries.join(' UNION ALL ')}
+    )
+    SELECT
+      totals.*,
+      page_rows.*
+    FROM (
+      SELECT
+        -- Count columns for pagination
+        ${this.buildDashboardTotalsColumns(categoryPages, role, '*')}
+      ${baseFrom}
+    ) totals
+    LEFT JOIN page_rows ON true
+    ORDER BY page_rows.request_category, page_rows.category_position
+  `;
+}
+
+// Grouped mode pages whole document chains. A chain belongs to a tab when any of
+// its documents matches the tab and the filters, and it is placed where its
+// best-ranked matching document would be in the flat list.
+buildGroupedOptimizedQuery(unifiedDocsCTE, chainDocsCTE, baseFilterClause, categoryPages, role) {
+  const baseFrom = this.buildDashboardFromClause('unified_docs', baseFilterClause);
+
+  const categoryQueries = Object.entries(categoryPages).map(([category, categoryPage]) => {
+    const categoryCondition = this.buildRequestCategoryCondition(category, role);
+
+    return `(
+      SELECT
+        ranked.grouping_id,
+        '${category}' AS request_category,
+        MIN(ranked.doc_position) AS category_position
+      FROM (
+        SELECT ud.grouping_id, ROW_NUMBER() OVER (${this.buildOptimizedOrderClause(categoryPage.order)}) AS doc_position
+        ${baseFrom}
+        ${categoryCondition ? `AND ${categoryCondition}` : ''}
+      ) ranked
+      GROUP BY ranked.grouping_id
+      ORDER BY category_position
+      LIMIT :${category}_limit OFFSET :${category}_offset
+    )`;
+  });
+
+  // A chain is picked by any visible document, but on the "all" tab only its visible
+  // documents are returned, so grouping never reveals what the flat tab hides
+  const visibilityCondition = categoryPages.all ? this.buildVisibilityCondition(role) : null;
+  const chainVisibilityCondition = visibilityCondition
+    ? `\n        AND (page_groups.request_category <> 'all' OR ${visibilityCondition})`
+    : '';
+
+  return `
+    ${unifiedDocsCTE},
+    page_groups AS (
+      ${categoryQueries.join(' UNION ALL ')}
+    ),
+    ${chainDocsCTE}
+    SELECT
+      totals.*,
+      page_groups.request_category, page_groups.category_position,
+      ${this.buildDashboardDataColumns()}
+    FROM (
+      SELECT
+        -- Count columns for pagination (groups, not documents)
+        ${this.buildDashboardTotalsColumns(categoryPages, role, 'DISTINCT ud.grouping_id')}
+      ${baseFrom}
+    ) totals
+    LEFT JOIN (
+      page_groups
+      INNER JOIN chain_docs ud ON ud.grouping_id = page_groups.grouping_id${chainVisibilityCondition}
+      LEFT JOIN users u ON ud.requestor_id = u.id
+      LEFT JOIN companies c ON ud.company_id = c.id
+      LEFT JOIN projects p ON ud.project_id = p.id
+      LEFT JOIN departments d ON ud.department_id = d.id
+      LEFT JOIN users assignee_u ON ud.assigned_to_user_id = assignee_u.id
+      LEFT JOIN users responsible_u ON ud.responsible_user_id = responsible_u.id
+    ) ON true
+    ORDER BY
+      page_groups.request_category,
+      page_groups.category_position,
+      ${this.buildDocTypePriorityExpression()},
+      ud.updated_at,
+      ud.id
+  `;
+}
+
+// Each facet names the legacy filterBy keys and filter DSL fields that filter on it
+getDashboardFacetDefinitions() {
+  return {
+    docType: { value: 'ud.doc_type', filterKeys: ['type'], filterFields: ['doc_type'] },
+    status: { value: 'ud.status', filterKeys: ['status', 'statuses'], filterFields: ['status'] },
+    statusCategory: {
+      value: this.buildStatusCategoryExpression('ud.status'),
+      filterKeys: ['status', 'statuses'],
+      filterFields: ['status'],
+    },
+    company: { value: 'ud.company_id', label: 'c.name', filterKeys: ['company', 'companies'], filterFields: ['company'] },
+    project: { value: 'ud.project_id', label: 'p.name', filterKeys: ['project_department'], filterFields: ['project'] },
+  };
+}
+
+// One GROUP BY per facet over the same filtered unified_docs set as the page, except
+// that each facet leaves its own filter out so the other chip values stay selectable
+buildDashboardFacetsQuery(unifiedDocsCTE, filterBy, replacements, { timeZone, category, role }) {
+  const categoryCondition = this.buildRequestCategoryCondition(category, role);
+
+  const facetQueries = Object.entries(this.getDashboardFacetDefinitions()).map(([facet, definition]) => {
+    const facetFilterBy = Object.fromEntries(
+      Object.entries(filterBy || {}).filter(([key]) => !definition.filterKeys.includes(key))
+    );
+    const conditions = this.buildOptimizedFilters(facetFilterBy, replacements, {
+      timeZone,
+      omitFields: definition.filterFields,
+    });
+    if (categoryCondition) {
+      conditions.push(categoryCondition);
+    }
+    const filterClause = conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : '';
+
+    return `(
+      SELECT
+        '${facet}' AS facet,
+        CAST(${definition.value} AS TEXT) AS value,
+        ${definition.label ? `MAX(${definition.label})` : 'NULL'} AS label,
+        COUNT(*) AS count
+      ${this.buildDashboardFromClause('unified_docs', filterClause)}
+      GROUP BY ${definition.value}
+    )`;
+  });
+
+  return `
+    ${unifiedDocsCTE}
+    ${facetQueries.join(' UNION ALL ')}
+  `;
+}
+
+processFacetResults(rows) {
+  const docTypeOutputMap = this.getDocTypeOutputMap();
+  const facets = Object.keys(this.getDashboardFacetDefinitions())
+    .reduce((result, facet) => ({ ...result, [facet]: [] }), {});
+
+  (rows || []).forEach(row => {
+    // Company and project ids are returned as numbers, like the row data
+    const value = ['company', 'project'].includes(row.facet) && row.value !== null
+      ? parseInt(row.value)
+      : row.value;
+    const label = row.facet === 'docType'
+      ? docTypeOutputMap[row.value] || row.value
+      : row.label ?? row.value;
+
+    facets[row.facet].push({ value, label, count: parseInt(row.count) });
+  });
+
+  Object.values(facets).forEach(buckets => buckets.sort((a, b) =>
+    b.count - a.count || String(a.label ?? '').localeCompare(String(b.label ?? ''))
+  ));
+
+  return facets;
+}
+
+// Dashboard tabs and the column their total is returned in
+getDashboardTotalColumns() {
+  return {
+    my_request: 'my_requests_total',
+    my_approval: 'my_approvals_total',
+    all: 'total_count',
+    my_approval_history: 'my_approval_history_total',
+  };
+}
+
+// The three standard tabs are always counted; the history tab only when requested
+buildDashboardTotalsColumns(categoryPages, role, countExpression) {
+  const totalColumns = this.getDashboardTotalColumns();
+  const categories = Object.keys(totalColumns)
+    .filter(category => category !== 'my_approval_history' || categoryPages[category]);
+
+  return categories.map(category => {
+    const condition = this.buildRequestCategoryCondition(category, role);
+    return condition
+      ? `COUNT(${countExpression}) FILTER (WHERE ${condition}) AS ${totalColumns[category]}`
+      : `COUNT(${countExpression}) AS ${totalColumns[category]}`;
+  }).join(',\n        ');
+}
+
+buildRequestCategoryCondition(category, role) {
+  switch (category) {
+    case 'my_request':
+      return `(ud.requestor_id = :userId AND ud.doc_type IN (${this.getRootDocTypes().map(docType => `'${docType}'`).join(', ')}))`;
+    case 'my_approval':
+      return `(${this.buildApprovalCondition(role)})`;
+    case 'my_approval_history':
+      return `(${this.buildApprovalHistoryCondition()})`;
+    case 'all':
+      return this.buildVisibilityCondition(role);
+    default:
+      return null;
+  }
+}
+
+// Roles listed in DASHBOARD_UNSCOPED_ROLES see every document on the "all" tab
+getDashboardVisibilityPolicy() {
+  const unscopedRoles = process.env.DASHBOARD_UNSCOPED_ROLES
+    ?? 'Root User,Admin,Purchasing Staff,Purchasing Head,Purchasing Admin';
+
+  return {
+    unscopedRoles: unscopedRoles.split(',').map(roleName => roleName.trim()).filter(Boolean),
+  };
+}
+
+// Everyone else sees their own, assigned and responsible documents, documents they
+// approve, documents of their own department (users.department_id), and documents of
+// the companies, projects and departments granted in user_dashboard_scopes.
+// Used as the "all" tab condition, so its page, totals and facets all apply it.
+buildVisibilityCondition(role) {
+  if (this.getDashboardVisibilityPolicy().unscopedRoles.includes(role?.name)) {
+    return null;
+  }
+
+  const grantConditions = ['company_id', 'project_id', 'department_id'].map(column =>
+    `ud.${column} IN (SELECT ${column} FROM user_dashboard_scopes WHERE user_id = :userId AND ${column} IS NOT NULL)`
+  );
+  const assignmentCondition = 'ud.department_id = (SELECT department_id FROM users WHERE id = :userId)';
+  const approverConditions = this.getUnifiedDocTypeRegistry()
+    .filter(definition => definition.approverTable)
+    .map(({ docType }) => `(ud.doc_type = '${docType}' AND ${this.buildApproverMembershipCondition(docType)})`);
+
+  return `(
+      ud.requestor_id = :userId OR
+      ud.assigned_to_user_id = :userId OR
+      ud.responsible_user_id = :userId OR
+      ${[assignmentCondition, ...grantConditions, ...approverConditions].join(' OR\n      ')}
+    )`;
+}
+
+// Purchasing roles also approve every requisition waiting to be assigned
+isPurchasingRole(role) {
+  return ['Purchasing Staff', 'Purchasing Head', 'Purchasing Admin'].includes(role?.name);
+}
+
+buildApprovalCondition(role) {
+  const approvableTypes = this.getUnifiedDocTypeRegistry().filter(definition => definition.approverTable);
+
+  if (this.isPurchasingRole(role)) {
+    const approverConditions = approvableTypes.map(({ docType }) =>
+      `(ud.doc_type = '${docType}' AND ${this.buildPendingApprovalCondition(docType)})`
+    );
+
+    return `
+      (ud.doc_type = 'requisition' AND ud.status = 'assigning' AND ud.status != 'rs_draft') OR
+      (ud.assigned_to_user_id = :userId) OR
+      ${approverConditions.join(' OR\n      ')}
+    `;
+  } else {
+    const approverConditions = approvableTypes.map(({ docType, approvalHiddenStatuses = [] }) => {
+      const statusGuards = approvalHiddenStatuses.map(status => `ud.status != '${status}' AND `).join('');
+      return `(ud.doc_type = '${docType}' AND ${statusGuards}${this.buildPendingApprovalCondition(docType)})`;
+    });
+
+    return `
+      ${approverConditions.join(' OR\n      ')}
+    `;
+  }
+}
+
+// Documents the user (or someone they are alt-approver for) has already approved or rejected
+buildApprovalHistoryCondition() {
+  const { actedStatuses } = this.getApprovalStepConfig();
+  const actedStatusList = actedStatuses.map(status => `'${status}'`).join(', ');
+
+  return this.getUnifiedDocTypeRegistry()
+    .filter(definition => definition.approverTable)
+    .map(({ docType }) => `(ud.doc_type = '${docType}' AND ${this.buildApproverMembershipCondition(docType, {
+      statusCondition: `IN (${actedStatusList})`,
+    })})`)
+    .join(' OR\n      ');
+}
+
+// Outcomes an approver row can have; which columns hold the step (level) and outcome is
+// set per table by approverTable.levelColumn / statusColumn in the registry
+getApprovalStepConfig() {
+  return {
+    pendingStatus: 'pending',
+    approvedStatus: 'approved',
+    actedStatuses: ['approved', 'rejected'],
+  };
+}
+
+// The user is the current approver when their row (or one they are alt-approver on) is
+// still pending and every earlier level has approved. Documents already approved by
+// the user, waiting on an earlier level, or fully approved are left out.
+buildPendingApprovalCondition(docType) {
+  const { table, docColumn, levelColumn, statusColumn } = this.getUnifiedDocType(docType).approverTable;
+  const { pendingStatus, approvedStatus } = this.getApprovalStepConfig();
+
+  return `ud.id IN (
+    SELECT current_step.${docColumn}
+    FROM (
+      ${this.buildApproverRowsQuery(docType, { statusCondition: `= '${pendingStatus}'`, columns: [docColumn, levelColumn] })}
+    ) current_step
+    WHERE NOT EXISTS (
+      SELECT 1 FROM ${table} earlier_step
+      WHERE earlier_step.${docColumn} = current_step.${docColumn}
+        AND earlier_step.${levelColumn} < current_step.${levelColumn}
+        AND earlier_step.${statusColumn} IS DISTINCT FROM '${approvedStatus}'
+    )
+  )`;
+}
+
+// Exact approver/alt-approver membership, resolved from the approver tables so the
+// (approver, alt_approver) indexes can be used instead of scanning serialized JSON
+buildApproverMembershipCondition(docType, { statusCondition } = {}) {
+  const { docColumn } = this.getUnifiedDocType(docType).approverTable;
+
+  return `ud.id IN (
+    ${this.buildApproverRowsQuery(docType, { statusCondition, columns: [docColumn] })}
+  )`;
+}
+
+buildApproverRowsQuery(docType, { statusCondition, columns }) {
+  const { table, userColumn, statusColumn } = this.getUnifiedDocType(docType).approverTable;
+  const statusFilter = statusCondition ? ` AND ${statusColumn} ${statusCondition}` : '';
+
+  return `SELECT ${columns.join(', ')} FROM ${table} WHERE ${userColumn} = :userId${statusFilter}
+    UNION ALL
+    SELECT ${columns.join(', ')} FROM ${table} WHERE alt_approver_id = :userId${statusFilter}`;
+}
+
+processOptimizedResults(results, categoryPages, limit, page) {
+  const docTypeOutputMap = this.getDocTypeOutputMap();
+  const totalCounts = this.extractDashboardTotals(results);
+
+  // Group results by request category
+  const groupedResults = Object.keys(totalCounts)
+    .reduce((result, category) => ({ ...result, [category]: [] }), {});
+
+  (results || []).forEach(item => {
+    // Totals-only row: no tab has data on the requested page
+    if (!item.request_category) {
+      return;
+    }
+
+    groupedResults[item.request_category].push(this.mapDashboardRow(item, docTypeOutputMap));
+  });
+
+  // Trim the look-ahead row and issue cursors from the sort keys of the page edges
+  const cursors = {};
+  Object.entries(categoryPages).forEach(([category, categoryPage]) => {
+    cursors[category] = this.sliceCategoryPage(groupedResults, category, categoryPage);
+  });
+
+  const response = {};
+  Object.keys(totalCounts).forEach(category => {
+    response[category] = categoryPages[category] ? groupedResults[category] : [];
+  });
+  response.meta = this.buildDashboardMeta(totalCounts, categoryPages, limit, page, cursors);
+  return response;
+}
+
+// Each group is its root document (requisition or non-RS) with the rest of the
+// chain nested under "children", ordered by doc-type priority. A root hidden from the
+// user leaves a placeholder carrying only grouping_id and root_status.
+processGroupedResults(results, categoryPages, limit, page) {
+  const docTypeOutputMap = this.getDocTypeOutputMap();
+  const totalCounts = this.extractDashboardTotals(results);
+  const rootDocTypes = this.getRootDocTypes();
+
+  const groupsByCategory = Object.keys(totalCounts)
+    .reduce((result, category) => ({ ...result, [category]: new Map() }), {});
+
+  (results || []).forEach(item => {
+    if (!item.request_category || item.id === null) {
+      return;
+    }
+
+    const groups = groupsByCategory[item.request_category];
+    if (!groups.has(item.grouping_id)) {
+      groups.set(item.grouping_id, { root: null, children: [] });
+    }
+
+    const group = groups.get(item.grouping_id);
+    const mappedItem = this.mapDashboardRow(item, docTypeOutputMap);
+    if (rootDocTypes.includes(item.doc_type) && !group.root) {
+      group.root = mappedItem;
+    } else {
+      group.children.push(mappedItem);
+    }
+  });
+
+  const toEntries = (groups) => [...groups.entries()].map(([groupingId, group]) => ({
+    ...(group.root || { grouping_id: groupingId, root_status: group.children[0]?.root_status ?? null }),
+    children: group.children,
+  }));
+
+  const response = {};
+  Object.keys(totalCounts).forEach(category => {
+    response[category] = categoryPages[category] ? toEntries(groupsByCategory[category]) : [];
+  });
+  response.meta = {
+    ...this.buildDashboardMeta(totalCounts, categoryPages, limit, page),
+    grouped: true,
+  };
+  return response;
+}
+
+// Totals come from the first row, which is present even when every page is empty.
+// The history total is only there when that tab was requested.
+extractDashboardTotals(results) {
+  const firstRow = results?.[0] || {};
+  const totalCounts = {};
+  Object.entries(this.getDashboardTotalColumns()).forEach(([category, column]) => {
+    if (category !== 'my_approval_history' || column in firstRow) {
+      totalCounts[category] = parseInt(firstRow[column] || 0);
+    }
+  });
+  return totalCounts;
+}
+
+mapDashboardRow(item, docTypeOutputMap) {
+  const mappedItem = {
+    ...item,
+    doc_type: docTypeOutputMap[item.doc_type] || item.doc_type,
+  };
+
+  // Remove count columns from individual items
+  Object.values(this.getDashboardTotalColumns()).forEach(column => delete mappedItem[column]);
+  delete mappedItem.request_category;
+  delete mappedItem.category_position;
+
+  return mappedItem;
+}
+
+buildDashboardMeta(totalCounts, categoryPages, limit, page, cursors = {}) {
+  // Tabs that were not requested report their totals against the top-level page/limit
+  const tabPagination = {};
+  Object.keys(totalCounts).forEach(category => {
+    const categoryPage = categoryPages[category] || { page: parseInt(page), limit: parseInt(limit) };
+    tabPagination[category] = {
+      page: categoryPage.page,
+      limit: categoryPage.limit,
+      total: totalCounts[category],
+      totalPages: Math.ceil(totalCounts[category] / categoryPage.limit),
+      nextCursor: cursors[category]?.nextCursor ?? null,
+      prevCursor: cursors[category]?.prevCursor ?? null,
+    };
+  });
+
+  // Top-level cursors follow the single requested tab, or "all" for the combined view
+  const primaryCategory = Object.keys(categoryPages).length === 1 ? Object.keys(categoryPages)[0] : 'all';
+
+  return {
+    message: 'Successfully retrieved dashboard data',
+    page: parseInt(page),
+    limit: parseInt(limit),
+    myRequestsTotal: totalCounts.my_request,
+    myRequestsTotalPages: tabPagination.my_request.totalPages,
+    myApprovalsTotal: totalCounts.my_approval,
+    myApprovalsTotalPages: tabPagination.my_approval.totalPages,
+    allTotal: totalCounts.all,
+    allTotalPages: tabPagination.all.totalPages,
+    nextCursor: tabPagination[primaryCategory].nextCursor,
+    prevCursor: tabPagination[primaryCategory].prevCursor,
+    pagination: tabPagination,
+  };
+}
+
+sliceCategoryPage(groupedResults, category, categoryPage) {
+  const rows = groupedResults[category];
+  const { cursor, limit, page } = categoryPage;
+  const hasMore = rows.length > limit;
+
+  // The look-ahead row sits at the far end of the paging direction
+  if (hasMore) {
+    if (cursor?.direction === 'prev') {
+      rows.shift();
+    } else {
+      rows.pop();
+    }
+  }
+
+  const sortKeys = rows.map(row => row.sort_keys);
+  rows.forEach(row => delete row.sort_keys);
+
+  if (rows.length === 0) {
+    return { nextCursor: null, prevCursor: null };
+  }
+
+  let hasNext;
+  let hasPrev;
+  if (!cursor) {
+    hasNext = hasMore;
+    hasPrev = page > 1;
+  } else if (cursor.direction === 'next') {
+    hasNext = hasMore;
+    hasPrev = true;
+  } else {
+    hasNext = true;
+    hasPrev = hasMore;
+  }
+
+  const buildCursor = (values, direction) => this.encodeDashboardCursor({
+    category,
+    sortSignature: categoryPage.sortSignature,
+    values,
+    direction,
+  });
+
+  return {
+    nextCursor: hasNext ? buildCursor(sortKeys[sortKeys.length - 1], 'next') : null,
+    prevCursor: hasPrev ? buildCursor(sortKeys[0], 'prev') : null,
   };
 }
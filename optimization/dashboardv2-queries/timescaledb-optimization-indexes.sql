@@ -95,6 +95,54 @@ CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_non_requisition_approvers_user_time
 ON non_requisition_approvers (user_id, alt_approver_id) 
 INCLUDE (non_requisition_id);
 
+-- Alt-approver lookups for exact "my approvals" matching
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_requisition_approvers_alt_user 
+ON requisition_approvers (alt_approver_id) 
+INCLUDE (requisition_id)
+WHERE alt_approver_id IS NOT NULL;
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_canvass_approvers_alt_user 
+ON canvass_approvers (alt_approver_id) 
+INCLUDE (canvass_requisition_id)
+WHERE alt_approver_id IS NOT NULL;
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_purchase_order_approvers_alt_user 
+ON purchase_order_approvers (alt_approver_id) 
+INCLUDE (purchase_order_id)
+WHERE alt_approver_id IS NOT NULL;
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_rs_payment_request_approvers_alt_user 
+ON rs_payment_request_approvers (alt_approver_id) 
+INCLUDE (payment_request_id)
+WHERE alt_approver_id IS NOT NULL;
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_non_requisition_approvers_alt_user 
+ON non_requisition_approvers (alt_approver_id) 
+INCLUDE (non_requisition_id)
+WHERE alt_approver_id IS NOT NULL;
+
+-- Approval steps: the "pending my action" check looks for unapproved earlier levels per document
+-- (column names as in each approverTable's levelColumn / statusColumn in the registry)
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_requisition_approvers_doc_level 
+ON requisition_approvers (requisition_id, level) 
+INCLUDE (status);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_canvass_approvers_doc_level 
+ON canvass_approvers (canvass_requisition_id, level) 
+INCLUDE (status);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_purchase_order_approvers_doc_level 
+ON purchase_order_approvers (purchase_order_id, level) 
+INCLUDE (status);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_rs_payment_request_approvers_doc_level 
+ON rs_payment_request_approvers (payment_request_id, level) 
+INCLUDE (status);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_non_requisition_approvers_doc_level 
+ON non_requisition_approvers (non_requisition_id, level) 
+INCLUDE (status);
+
 -- ============================================================================
 -- PHASE 4: REFERENCE DATA INDEXES (Medium Priority)
 -- ============================================================================
@@ -115,6 +163,29 @@ ON projects (name);
 CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_departments_name_search 
 ON departments (name);
 
+-- Trigram indexes for ranked dashboard search (filterBy.search): serve the ILIKE
+-- substring and <% word-similarity lookups on people, company, project and department names
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- How close a <% match must be (0-1); lower it to tolerate more typos
+DO $$
+BEGIN
+  EXECUTE format('ALTER DATABASE %I SET pg_trgm.word_similarity_threshold = 0.3', current_database());
+END
+$$;
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_users_fullname_trgm 
+ON users USING gin ((first_name || ' ' || last_name) gin_trgm_ops);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_companies_name_trgm 
+ON companies USING gin (name gin_trgm_ops);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_projects_name_trgm 
+ON projects USING gin (name gin_trgm_ops);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_departments_name_trgm 
+ON departments USING gin (name gin_trgm_ops);
+
 -- ============================================================================
 -- PHASE 5: COMPOSITE SEARCH INDEXES (Low Priority)
 -- ============================================================================
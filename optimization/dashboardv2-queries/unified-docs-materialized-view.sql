@@ -1,6 +1,11 @@
 -- Unified Documents Materialized View for TimescaleDB Optimization
 -- This creates a materialized view that pre-computes the unified document structure
 -- reducing the need for complex CTEs in the getAllRequisitionsV2 method
+--
+-- The CREATE MATERIALIZED VIEW statement below is generated from the document-type
+-- registry (getUnifiedDocTypeRegistry / buildUnifiedDocsViewDDL in
+-- optimized-getAllRequisitionsV2.js). Change the registry and regenerate it rather
+-- than editing the branches by hand.
 
 -- ============================================================================
 -- DROP EXISTING VIEW IF EXISTS
@@ -25,238 +30,251 @@ SELECT
   grouping_id,
   root_status,
   assigned_to_user_id,
+  responsible_user_id,
   approvers,
-  
+  status_since,
+  root_created_at,
+  created_at,
+
   -- Additional computed fields for optimization
   EXTRACT(YEAR FROM updated_at) AS year,
   EXTRACT(MONTH FROM updated_at) AS month,
   EXTRACT(WEEK FROM updated_at) AS week,
   DATE_TRUNC('day', updated_at) AS day,
-  
+
   -- Status categories for faster filtering
-  CASE 
+  CASE
     WHEN status IN ('cancelled', 'closed') THEN 'inactive'
     WHEN status IN ('rs_draft', 'draft') THEN 'draft'
     ELSE 'active'
   END AS status_category,
-  
+
   -- Document type priority for sorting
-  CASE doc_type 
-    WHEN 'requisition' THEN 1 
-    WHEN 'canvass' THEN 2 
-    WHEN 'purchase_order' THEN 3 
-    WHEN 'invoice' THEN 4 
-    WHEN 'delivery_receipt' THEN 5 
-    WHEN 'payment_request' THEN 6 
-    WHEN 'non_requisition' THEN 7 
-    ELSE 99 
-  END AS doc_type_priority
+  CASE doc_type
+    WHEN 'requisition' THEN 1
+    WHEN 'canvass' THEN 2
+    WHEN 'purchase_order' THEN 3
+    WHEN 'invoice' THEN 4
+    WHEN 'delivery_receipt' THEN 5
+    WHEN 'payment_request' THEN 6
+    WHEN 'non_requisition' THEN 7
+    ELSE 99 END AS doc_type_priority
 
 FROM (
-  -- Requisitions
+  -- requisition (R.S.)
   SELECT
-    r.id, 
-    'requisition' AS doc_type,
+    r.id, 'requisition' AS doc_type,
     CASE
       WHEN r.status = 'rs_draft' THEN CONCAT('RS-TMP-', r.company_code, r.rs_letter, COALESCE(r.draft_rs_number, ''))
       ELSE CONCAT('RS-', r.company_code, r.rs_letter, COALESCE(r.rs_number, ''))
     END AS ref_number,
-    r.created_by AS requestor_id, 
-    r.company_id, 
-    r.project_id, 
-    r.department_id,
-    r.updated_at, 
-    r.status,
+    r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
+    r.updated_at, r.status AS status,
     CAST(r.id AS TEXT) AS grouping_id,
     r.status AS root_status,
     r.assigned_to AS assigned_to_user_id,
-    COALESCE(
-      (SELECT JSON_AGG(DISTINCT user_id) 
-       FROM (
-         SELECT approver_id AS user_id FROM requisition_approvers WHERE requisition_id = r.id
-         UNION ALL
-         SELECT alt_approver_id AS user_id FROM requisition_approvers 
-         WHERE requisition_id = r.id AND alt_approver_id IS NOT NULL
-       ) approver_list),
-      '[]'::json
-    ) AS approvers
+    CAST(NULL AS INTEGER) AS responsible_user_id,
+    COALESCE(r_approvers.approvers, '[]'::json) AS approvers,
+    COALESCE(r_status.status_since, r.updated_at) AS status_since,
+    r.created_at AS root_created_at,
+    r.created_at
   FROM requisitions r
-  
+  LEFT JOIN document_status_since r_status
+    ON r_status.doc_type = 'requisition' AND r_status.doc_id = r.id
+  LEFT JOIN LATERAL (
+    SELECT JSON_AGG(DISTINCT user_id) AS approvers
+    FROM (
+      SELECT approver_id AS user_id FROM requisition_approvers WHERE requisition_id = r.id
+      UNION ALL
+      SELECT alt_approver_id AS user_id FROM requisition_approvers
+      WHERE requisition_id = r.id AND alt_approver_id IS NOT NULL
+    ) approver_list
+  ) r_approvers ON true
+
   UNION ALL
-  
-  -- Canvass requisitions
+
+  -- canvass (Canvass)
   SELECT
-    cr.id, 
-    'canvass' AS doc_type,
+    cr.id, 'canvass' AS doc_type,
     CASE
       WHEN cr.cs_number IS NULL THEN CONCAT('CS-TMP-', r.company_code, cr.cs_letter, COALESCE(cr.draft_cs_number, ''))
       ELSE CONCAT('CS-', r.company_code, cr.cs_letter, COALESCE(cr.cs_number, ''))
     END AS ref_number,
-    r.created_by AS requestor_id, 
-    r.company_id, 
-    r.project_id, 
-    r.department_id,
-    cr.updated_at, 
-    cr.status,
+    r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
+    cr.updated_at, cr.status AS status,
     CAST(r.id AS TEXT) AS grouping_id,
     r.status AS root_status,
     r.assigned_to AS assigned_to_user_id,
-    COALESCE(
-      (SELECT JSON_AGG(DISTINCT user_id) 
-       FROM (
-         SELECT user_id FROM canvass_approvers WHERE canvass_requisition_id = cr.id
-         UNION ALL
-         SELECT alt_approver_id AS user_id FROM canvass_approvers 
-         WHERE canvass_requisition_id = cr.id AND alt_approver_id IS NOT NULL
-       ) approver_list),
-      '[]'::json
-    ) AS approvers
-  FROM canvass_requisitions cr 
+    CAST(NULL AS INTEGER) AS responsible_user_id,
+    COALESCE(cr_approvers.approvers, '[]'::json) AS approvers,
+    COALESCE(cr_status.status_since, cr.updated_at) AS status_since,
+    r.created_at AS root_created_at,
+    cr.created_at
+  FROM canvass_requisitions cr
   INNER JOIN requisitions r ON cr.requisition_id = r.id
-  
+  LEFT JOIN document_status_since cr_status
+    ON cr_status.doc_type = 'canvass' AND cr_status.doc_id = cr.id
+  LEFT JOIN LATERAL (
+    SELECT JSON_AGG(DISTINCT user_id) AS approvers
+    FROM (
+      SELECT user_id AS user_id FROM canvass_approvers WHERE canvass_requisition_id = cr.id
+      UNION ALL
+      SELECT alt_approver_id AS user_id FROM canvass_approvers
+      WHERE canvass_requisition_id = cr.id AND alt_approver_id IS NOT NULL
+    ) approver_list
+  ) cr_approvers ON true
+
   UNION ALL
-  
-  -- Purchase orders
+
+  -- purchase_order (Order)
   SELECT
-    po.id, 
-    'purchase_order' AS doc_type,
+    po.id, 'purchase_order' AS doc_type,
     CONCAT('PO-', r.company_code, po.po_letter, po.po_number) AS ref_number,
-    r.created_by AS requestor_id, 
-    r.company_id, 
-    r.project_id, 
-    r.department_id,
-    po.updated_at, 
-    po.status,
+    r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
+    po.updated_at, po.status AS status,
     CAST(r.id AS TEXT) AS grouping_id,
     r.status AS root_status,
     r.assigned_to AS assigned_to_user_id,
-    COALESCE(
-      (SELECT JSON_AGG(DISTINCT user_id) 
-       FROM (
-         SELECT user_id FROM purchase_order_approvers WHERE purchase_order_id = po.id
-         UNION ALL
-         SELECT alt_approver_id AS user_id FROM purchase_order_approvers 
-         WHERE purchase_order_id = po.id AND alt_approver_id IS NOT NULL
-       ) approver_list),
-      '[]'::json
-    ) AS approvers
-  FROM purchase_orders po 
+    CAST(NULL AS INTEGER) AS responsible_user_id,
+    COALESCE(po_approvers.approvers, '[]'::json) AS approvers,
+    COALESCE(po_status.status_since, po.updated_at) AS status_since,
+    r.created_at AS root_created_at,
+    po.created_at
+  FROM purchase_orders po
   INNER JOIN requisitions r ON po.requisition_id = r.id
-  
+  LEFT JOIN document_status_since po_status
+    ON po_status.doc_type = 'purchase_order' AND po_status.doc_id = po.id
+  LEFT JOIN LATERAL (
+    SELECT JSON_AGG(DISTINCT user_id) AS approvers
+    FROM (
+      SELECT user_id AS user_id FROM purchase_order_approvers WHERE purchase_order_id = po.id
+      UNION ALL
+      SELECT alt_approver_id AS user_id FROM purchase_order_approvers
+      WHERE purchase_order_id = po.id AND alt_approver_id IS NOT NULL
+    ) approver_list
+  ) po_approvers ON true
+
   UNION ALL
-  
-  -- Delivery receipts
+
+  -- delivery_receipt (Delivery)
   SELECT
-    dr.id, 
-    'delivery_receipt' AS doc_type,
+    dr.id, 'delivery_receipt' AS doc_type,
     CASE
       WHEN dr.is_draft THEN CONCAT('RR-TMP-', COALESCE(dr.draft_dr_number, ''))
       ELSE CONCAT('RR-', COALESCE(dr.dr_number, ''))
     END AS ref_number,
-    r.created_by AS requestor_id, 
-    r.company_id, 
-    r.project_id, 
-    r.department_id,
-    dr.updated_at, 
-    COALESCE(dr.status, '') AS status,
+    r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
+    dr.updated_at, COALESCE(dr.status, '') AS status,
     CAST(r.id AS TEXT) AS grouping_id,
     r.status AS root_status,
     r.assigned_to AS assigned_to_user_id,
-    NULL AS approvers
-  FROM delivery_receipts dr 
+    dr.created_by AS responsible_user_id,
+    NULL AS approvers,
+    COALESCE(dr_status.status_since, dr.updated_at) AS status_since,
+    r.created_at AS root_created_at,
+    dr.created_at
+  FROM delivery_receipts dr
   INNER JOIN requisitions r ON dr.requisition_id = r.id
-  
+  LEFT JOIN document_status_since dr_status
+    ON dr_status.doc_type = 'delivery_receipt' AND dr_status.doc_id = dr.id
+
   UNION ALL
-  
-  -- Invoice reports
+
+  -- invoice (Invoice)
   SELECT
-    ir.id, 
-    'invoice' AS doc_type,
+    ir.id, 'invoice' AS doc_type,
     CASE
       WHEN ir.is_draft THEN CONCAT('IR-TMP-', COALESCE(ir.ir_draft_number, ''))
       ELSE CONCAT('IR-', COALESCE(ir.ir_number, ''))
     END AS ref_number,
-    r.created_by AS requestor_id, 
-    r.company_id, 
-    r.project_id, 
-    r.department_id,
-    ir.updated_at, 
-    ir.status,
+    r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
+    ir.updated_at, ir.status AS status,
     CAST(r.id AS TEXT) AS grouping_id,
     r.status AS root_status,
     r.assigned_to AS assigned_to_user_id,
-    NULL AS approvers
-  FROM invoice_reports ir 
+    ir.created_by AS responsible_user_id,
+    NULL AS approvers,
+    COALESCE(ir_status.status_since, ir.updated_at) AS status_since,
+    r.created_at AS root_created_at,
+    ir.created_at
+  FROM invoice_reports ir
   INNER JOIN requisitions r ON ir.requisition_id = r.id
-  
+  LEFT JOIN document_status_since ir_status
+    ON ir_status.doc_type = 'invoice' AND ir_status.doc_id = ir.id
+
   UNION ALL
-  
-  -- Payment requests
+
+  -- payment_request (Voucher)
   SELECT
-    pr.id, 
-    'payment_request' AS doc_type,
+    pr.id, 'payment_request' AS doc_type,
     CASE
       WHEN pr.is_draft THEN CONCAT('VR-TMP-', r.company_code, COALESCE(pr.draft_pr_number, ''))
       ELSE CONCAT('VR-', r.company_code, pr.pr_letter, COALESCE(pr.pr_number, ''))
     END AS ref_number,
-    r.created_by AS requestor_id, 
-    r.company_id, 
-    r.project_id, 
-    r.department_id,
-    pr.updated_at, 
-    pr.status,
+    r.created_by AS requestor_id, r.company_id, r.project_id, r.department_id,
+    pr.updated_at, pr.status AS status,
     CAST(pr.requisition_id AS TEXT) AS grouping_id,
     r.status AS root_status,
     r.assigned_to AS assigned_to_user_id,
-    COALESCE(
-      (SELECT JSON_AGG(DISTINCT user_id) 
-       FROM (
-         SELECT user_id FROM rs_payment_request_approvers WHERE payment_request_id = pr.id
-         UNION ALL
-         SELECT alt_approver_id AS user_id FROM rs_payment_request_approvers 
-         WHERE payment_request_id = pr.id AND alt_approver_id IS NOT NULL
-       ) approver_list),
-      '[]'::json
-    ) AS approvers
-  FROM rs_payment_requests pr 
+    CAST(NULL AS INTEGER) AS responsible_user_id,
+    COALESCE(pr_approvers.approvers, '[]'::json) AS approvers,
+    COALESCE(pr_status.status_since, pr.updated_at) AS status_since,
+    r.created_at AS root_created_at,
+    pr.created_at
+  FROM rs_payment_requests pr
   INNER JOIN requisitions r ON pr.requisition_id = r.id
-  
+  LEFT JOIN document_status_since pr_status
+    ON pr_status.doc_type = 'payment_request' AND pr_status.doc_id = pr.id
+  LEFT JOIN LATERAL (
+    SELECT JSON_AGG(DISTINCT user_id) AS approvers
+    FROM (
+      SELECT user_id AS user_id FROM rs_payment_request_approvers WHERE payment_request_id = pr.id
+      UNION ALL
+      SELECT alt_approver_id AS user_id FROM rs_payment_request_approvers
+      WHERE payment_request_id = pr.id AND alt_approver_id IS NOT NULL
+    ) approver_list
+  ) pr_approvers ON true
+
   UNION ALL
-  
-  -- Non-requisitions
+
+  -- non_requisition (Non-R.S.)
   SELECT
-    nr.id, 
-    'non_requisition' AS doc_type,
+    nr.id, 'non_requisition' AS doc_type,
     CASE
       WHEN nr.status = 'draft' THEN CONCAT('NR-TMP-', nr.non_rs_letter, COALESCE(nr.draft_non_rs_number, ''))
       ELSE CONCAT('NR-', nr.non_rs_letter, COALESCE(nr.non_rs_number, ''))
     END AS ref_number,
-    nr.created_by AS requestor_id, 
-    nr.company_id, 
-    nr.project_id, 
-    nr.department_id,
-    nr.updated_at, 
-    nr.status,
+    nr.created_by AS requestor_id, nr.company_id, nr.project_id, nr.department_id,
+    nr.updated_at, nr.status AS status,
     CONCAT('non_rs_', CAST(nr.id AS TEXT)) AS grouping_id,
     nr.status AS root_status,
     NULL AS assigned_to_user_id,
-    COALESCE(
-      (SELECT JSON_AGG(DISTINCT user_id) 
-       FROM (
-         SELECT user_id FROM non_requisition_approvers WHERE non_requisition_id = nr.id
-         UNION ALL
-         SELECT alt_approver_id AS user_id FROM non_requisition_approvers 
-         WHERE non_requisition_id = nr.id AND alt_approver_id IS NOT NULL
-       ) approver_list),
-      '[]'::json
-    ) AS approvers
+    CAST(NULL AS INTEGER) AS responsible_user_id,
+    COALESCE(nr_approvers.approvers, '[]'::json) AS approvers,
+    COALESCE(nr_status.status_since, nr.updated_at) AS status_since,
+    nr.created_at AS root_created_at,
+    nr.created_at
   FROM non_requisitions nr
+  LEFT JOIN document_status_since nr_status
+    ON nr_status.doc_type = 'non_requisition' AND nr_status.doc_id = nr.id
+  LEFT JOIN LATERAL (
+    SELECT JSON_AGG(DISTINCT user_id) AS approvers
+    FROM (
+      SELECT user_id AS user_id FROM non_requisition_approvers WHERE non_requisition_id = nr.id
+      UNION ALL
+      SELECT alt_approver_id AS user_id FROM non_requisition_approvers
+      WHERE non_requisition_id = nr.id AND alt_approver_id IS NOT NULL
+    ) approver_list
+  ) nr_approvers ON true
 ) all_docs;
 
 -- ============================================================================
 -- CREATE INDEXES ON MATERIALIZED VIEW
 -- ============================================================================
 
+-- Unique row identity (required by REFRESH MATERIALIZED VIEW CONCURRENTLY)
+CREATE UNIQUE INDEX idx_unified_docs_view_doc_type_id ON unified_docs_view (doc_type, id);
+
 -- Primary index on updated_at for time-based queries
 CREATE INDEX idx_unified_docs_view_updated_at ON unified_docs_view (updated_at DESC);
 
@@ -264,24 +282,121 @@ CREATE INDEX idx_unified_docs_view_updated_at ON unified_docs_view (updated_at D
 CREATE INDEX idx_unified_docs_view_requestor_time ON unified_docs_view (requestor_id, updated_at DESC);
 CREATE INDEX idx_unified_docs_view_company_time ON unified_docs_view (company_id, updated_at DESC);
 CREATE INDEX idx_unified_docs_view_doc_type_time ON unified_docs_view (doc_type, updated_at DESC);
+CREATE INDEX idx_unified_docs_view_grouping ON unified_docs_view (grouping_id);
 CREATE INDEX idx_unified_docs_view_status_time ON unified_docs_view (status_category, updated_at DESC);
 
 -- Search indexes
 CREATE INDEX idx_unified_docs_view_ref_number ON unified_docs_view (ref_number);
+-- Prefix searches for reference numbers (ILIKE 'RS-CLAA0001%'; needs pg_trgm)
+CREATE INDEX idx_unified_docs_view_ref_number_trgm ON unified_docs_view USING gin (ref_number gin_trgm_ops);
 CREATE INDEX idx_unified_docs_view_status ON unified_docs_view (status);
 
 -- Partial indexes for active documents
 CREATE INDEX idx_unified_docs_view_active ON unified_docs_view (updated_at DESC, requestor_id, assigned_to_user_id) 
 WHERE status_category = 'active';
 
+-- ============================================================================
+-- REFRESH LOG
+-- ============================================================================
+
+-- One row per refresh; the application reads MAX(started_at) to decide whether
+-- the view is fresh enough to serve the dashboard (a refresh only sees writes
+-- committed before it started)
+CREATE TABLE IF NOT EXISTS unified_docs_view_refresh_log (
+  id BIGSERIAL PRIMARY KEY,
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ NOT NULL,
+  duration_ms NUMERIC NOT NULL,
+  row_count BIGINT NOT NULL,
+  rows_inserted BIGINT NOT NULL,
+  rows_updated BIGINT NOT NULL,
+  rows_deleted BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_unified_docs_view_refresh_log_started_at
+ON unified_docs_view_refresh_log (started_at DESC);
+
+-- The view was populated by CREATE MATERIALIZED VIEW above
+INSERT INTO unified_docs_view_refresh_log (
+  started_at, finished_at, duration_ms, row_count, rows_inserted, rows_updated, rows_deleted
+)
+SELECT NOW(), NOW(), 0, COUNT(*), COUNT(*), 0, 0
+FROM unified_docs_view;
+
 -- ============================================================================
 -- CREATE REFRESH FUNCTION
 -- ============================================================================
 
+-- CONCURRENTLY only writes the rows that differ and keeps the view readable
+-- during the refresh. Deltas are measured against a hash snapshot of the
+-- previous contents.
+DROP FUNCTION IF EXISTS refresh_unified_docs_view();
+
 CREATE OR REPLACE FUNCTION refresh_unified_docs_view()
-RETURNS void AS $$
+RETURNS TABLE (
+  refreshed_at TIMESTAMPTZ,
+  duration_ms NUMERIC,
+  row_count BIGINT,
+  rows_inserted BIGINT,
+  rows_updated BIGINT,
+  rows_deleted BIGINT
+) AS $$
+DECLARE
+  v_started_at TIMESTAMPTZ := clock_timestamp();
+  v_finished_at TIMESTAMPTZ;
+  v_row_count BIGINT;
+  v_inserted BIGINT;
+  v_updated BIGINT;
+  v_deleted BIGINT;
 BEGIN
+  DROP TABLE IF EXISTS unified_docs_view_snapshot;
+  CREATE TEMP TABLE unified_docs_view_snapshot AS
+  SELECT v.doc_type, v.id, md5(v::text) AS row_hash
+  FROM unified_docs_view v;
+
   REFRESH MATERIALIZED VIEW CONCURRENTLY unified_docs_view;
+
+  SELECT
+    COUNT(*) FILTER (WHERE after_refresh.id IS NOT NULL),
+    COUNT(*) FILTER (WHERE before_refresh.id IS NULL),
+    COUNT(*) FILTER (WHERE before_refresh.row_hash <> after_refresh.row_hash),
+    COUNT(*) FILTER (WHERE after_refresh.id IS NULL)
+  INTO v_row_count, v_inserted, v_updated, v_deleted
+  FROM (
+    SELECT v.doc_type, v.id, md5(v::text) AS row_hash
+    FROM unified_docs_view v
+  ) after_refresh
+  FULL JOIN unified_docs_view_snapshot before_refresh
+    ON before_refresh.doc_type = after_refresh.doc_type
+    AND before_refresh.id = after_refresh.id;
+
+  DROP TABLE unified_docs_view_snapshot;
+
+  v_finished_at := clock_timestamp();
+
+  INSERT INTO unified_docs_view_refresh_log (
+    started_at, finished_at, duration_ms, row_count, rows_inserted, rows_updated, rows_deleted
+  ) VALUES (
+    v_started_at,
+    v_finished_at,
+    EXTRACT(EPOCH FROM (v_finished_at - v_started_at)) * 1000,
+    v_row_count,
+    v_inserted,
+    v_updated,
+    v_deleted
+  );
+
+  -- Dashboard cache entries read from the previous contents are dropped on this
+  PERFORM pg_notify('dashboard_docs_changed', json_build_object('event', 'view_refreshed')::text);
+
+  -- Data as of the start of the refresh, same as the application's freshness check
+  RETURN QUERY SELECT
+    v_started_at,
+    ROUND((EXTRACT(EPOCH FROM (v_finished_at - v_started_at)) * 1000)::numeric, 2),
+    v_row_count,
+    v_inserted,
+    v_updated,
+    v_deleted;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -294,7 +409,11 @@ $$ LANGUAGE plpgsql;
 -- Frequency: Every 5 minutes for real-time updates, or every hour for better performance
 
 -- Example cron job entry (add to postgres user's crontab):
--- */5 * * * * psql -d prs_production -c "SELECT refresh_unified_docs_view();"
+-- */5 * * * * psql -d prs_production -c "SELECT * FROM refresh_unified_docs_view();"
+
+-- Keep the refresh interval below the application's staleness budget
+-- (UNIFIED_DOCS_VIEW_MAX_STALENESS_SECONDS, default 300) or the dashboard
+-- will fall back to the live query between refreshes.
 
 -- ============================================================================
 -- VERIFICATION QUERIES
@@ -317,6 +436,18 @@ FROM unified_docs_view
 WHERE updated_at >= NOW() - INTERVAL '1 month' 
 GROUP BY doc_type;
 
+-- Recent refreshes
+SELECT
+  finished_at,
+  duration_ms,
+  row_count,
+  rows_inserted,
+  rows_updated,
+  rows_deleted
+FROM unified_docs_view_refresh_log
+ORDER BY finished_at DESC
+LIMIT 10;
+
 -- Sample data verification
 SELECT 
   doc_type,